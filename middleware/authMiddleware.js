@@ -1,8 +1,5 @@
-const jwt = require('jsonwebtoken'); 
 const User = require('../models/User'); 
-const dotenv = require('dotenv');
-
-dotenv.config(); 
+const { verifyAccessToken } = require('../utils/authTokens');
 
 const authMiddleware = async (req, res, next) => {
   const { authorization } = req.headers;
@@ -14,13 +11,17 @@ const authMiddleware = async (req, res, next) => {
   const token = authorization.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET); 
-    const user = await User.findById(decoded.id).select('_id'); 
+    const decoded = verifyAccessToken(token); 
+    const user = await User.findById(decoded.id).select('_id role tokenVersion'); 
     if (!user) {
         throw new Error('User not found');
     }
+    // Logout everywhere bumps tokenVersion, which retires every access token issued before it
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+        return res.status(401).json({ message: 'Session has ended, please sign in again' });
+    }
 
-    req.user = { id: user._id }; 
+    req.user = { id: user._id, role: user.role }; 
     next();
 
   } catch (error) {
@@ -32,4 +33,4 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
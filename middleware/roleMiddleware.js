@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+
+// Must run after authMiddleware (relies on req.user.id / req.user.role)
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Role a user holds within a specific course: 'instructor', 'teaching_assistant', 'student' or null
+const getCourseRole = (course, userId) => {
+  const id = userId.toString();
+  if (idOf(course.instructor) === id) return 'instructor';
+  if ((course.teachingAssistants || []).some(ta => idOf(ta) === id)) return 'teaching_assistant';
+  if ((course.students || []).some(student => idOf(student) === id)) return 'student';
+  return null;
+};
+
+// Instructor (creator), a TA of the assignment's course, or an admin may grade/view all work
+const isAssignmentStaff = async (assignment, user) => {
+  if (!assignment) return false;
+  if (user.role === 'admin') return true;
+  if (idOf(assignment.createdBy) === user.id.toString()) return true;
+
+  const taCourse = await Course.exists({ _id: idOf(assignment.course), teachingAssistants: user.id });
+  return !!taCourse;
+};
+
+// Only the assignment's creator or an admin may change or delete it
+const isAssignmentOwner = (assignment, user) =>
+  !!assignment && (user.role === 'admin' || idOf(assignment.createdBy) === user.id.toString());
+
+// Gate a route on the user's platform-wide role. Admins always pass.
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user?.role;
+  if (role === 'admin' || roles.includes(role)) {
+    return next();
+  }
+  return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+};
+
+// Load req.params.courseId into req.course and gate on the user's role within that course.
+// Sets req.courseRole ('admin' for admins who are not otherwise part of the course).
+const requireCourseRole = (...roles) => async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ message: 'Invalid course ID format.' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found.' });
+    }
+
+    const courseRole = getCourseRole(course, req.user.id) || (req.user.role === 'admin' ? 'admin' : null);
+    if (req.user.role !== 'admin' && !roles.includes(courseRole)) {
+      return res.status(403).json({ message: 'You do not have permission to access this course.' });
+    }
+
+    req.course = course;
+    req.courseRole = courseRole;
+    next();
+  } catch (error) {
+    console.error('Course authorization error:', error);
+    res.status(500).json({ message: 'Server error checking course permissions.', error: error.message });
+  }
+};
+
+module.exports = {
+  getCourseRole,
+  isAssignmentStaff,
+  isAssignmentOwner,
+  requireRole,
+  requireCourseRole,
+};
@@ -0,0 +1,42 @@
+// backend/models/AccountToken.js
+// Single-use, expiring tokens sent by email (password reset, email verification).
+// See utils/accountTokens.js. Only a SHA-256 hash of the token is stored.
+const mongoose = require('mongoose');
+
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['password_reset', 'email_verification'],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  email: {
+    type: String,
+    default: null, // Address the token was sent to; verification only counts for that address
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
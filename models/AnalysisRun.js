@@ -0,0 +1,78 @@
+// backend/models/AnalysisRun.js
+// One AI run on a submission (feedback analysis or draft grading), kept as an audit trail:
+// which model and prompt version produced what, from which text, at what cost.
+// AI inline comments point back to the run that suggested them (Submission.inlineComments[].analysisRun).
+const mongoose = require('mongoose');
+
+const suggestedCommentSchema = new mongoose.Schema({
+  startIndex: { type: Number, required: true },
+  endIndex: { type: Number, required: true },
+  text: { type: String, required: true },
+  quote: { type: String }, // As written by the model
+  match: { type: String, enum: ['exact', 'fuzzy'] }, // How the quote was anchored (utils/quoteAnchoring.js)
+}, { _id: true }); // The _id is the suggestion id comments refer to
+
+const unplacedCommentSchema = new mongoose.Schema({
+  quote: { type: String },
+  comment: { type: String },
+}, { _id: false });
+
+const analysisRunSchema = new mongoose.Schema({
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    default: null,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['feedback', 'grading'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: 'succeeded',
+  },
+  error: { type: String, default: null },
+  provider: { type: String, default: null },
+  model: { type: String, default: null },
+  promptVersion: { type: String, default: null }, // Bumped whenever a prompt changes (e.g. utils/aiFeedback.js)
+  parameters: {
+    temperature: { type: Number, default: null },
+    maxTokens: { type: Number, default: null },
+    attempts: { type: Number, default: 1 }, // Includes repair retries (utils/structuredOutput.js)
+    chunks: { type: Number, default: 1 }, // Parts of a long text analyzed separately (utils/chunking.js)
+  },
+  contentHash: { type: String, default: null }, // sha256 of the analyzed text (utils/submissionText.js)
+  rawOutputs: { type: [String], default: [] }, // Every model response, in order
+  // Parsed result: feedback runs fill overallFeedback/inlineComments, grading runs draftGrade
+  overallFeedback: {
+    strengths: { type: String, default: '' },
+    improvements: { type: String, default: '' },
+    actionItems: { type: String, default: '' },
+  },
+  inlineComments: { type: [suggestedCommentSchema], default: undefined },
+  unplacedComments: { type: [unplacedCommentSchema], default: undefined },
+  draftGrade: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false }, // Runs are never edited
+});
+
+analysisRunSchema.index({ submission: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AnalysisRun', analysisRunSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// --- Late submission policy (applied relative to dueDate) ---
+const latePolicySchema = new mongoose.Schema({
+  gracePeriodMinutes: { type: Number, default: 0, min: [0, 'Grace period cannot be negative'] },
+  penaltyPerDay: { type: Number, default: 0, min: 0, max: 100 }, // % deducted per started day late
+  maxPenalty: { type: Number, default: 100, min: 0, max: 100 }, // Cap on the total % deducted
+  hardCutoff: { type: Date, default: null }, // No submissions accepted after this, even if late work is allowed
+}, { _id: false });
+
 const assignmentSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -16,9 +24,10 @@ const assignmentSchema = new mongoose.Schema({
     trim: true,
   },
   course: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
     required: [true, 'Course is required.'],
-    trim: true,
+    index: true,
   },
   dueDate: {
     type: Date,
@@ -45,11 +54,48 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true, // false = hard cutoff at dueDate (plus grace period)
+  },
+  latePolicy: {
+    type: latePolicySchema,
+    default: () => ({}),
+  },
+  maxAttempts: {
+    type: Number,
+    default: null, // null = unlimited resubmissions
+    min: [1, 'At least one attempt must be allowed'],
+  },
+  gradedAttempt: {
+    type: String,
+    enum: ['latest', 'highest', 'instructor'], // Which attempt counts toward the grade
+    default: 'latest',
+  },
+  aiGradingEnabled: {
+    type: Boolean,
+    default: false, // Opt-in: allows AI-proposed rubric scores for this assignment
+  },
   totalPoints: {
     type: Number,
     default: 100, // Default to 100 or null/undefined as needed
     min: [0, 'Total points cannot be negative']
   },
+  category: {
+    type: String,
+    trim: true,
+    default: null, // Gradebook category, one of the course's gradingScheme.categories names
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published', // Drafts (e.g. from AI generation) are hidden from students and closed to submissions
+  },
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    default: null, // Library rubric (models/Rubric.js); takes precedence over content.rubric
+  },
   // submissions: [] // Do NOT store submissions directly here
 }, { timestamps: true });
 
@@ -1,6 +1,33 @@
 // backend/models/Course.js
 const mongoose = require('mongoose');
 
+// --- Gradebook settings (see utils/gradebook.js) ---
+const gradeCategorySchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Category name is required.'], trim: true }, // Matched against Assignment.category
+  weight: { type: Number, required: true, min: 0, max: 100 }, // % of the course grade
+  dropLowest: { type: Number, default: 0, min: 0 }, // Lowest N scores in the category are ignored
+}, { _id: false });
+
+const letterGradeSchema = new mongoose.Schema({
+  letter: { type: String, required: true, trim: true },
+  minPercent: { type: Number, required: true, min: 0, max: 100 },
+}, { _id: false });
+
+// --- Roster (see utils/enrollment.js) ---
+// One entry per rostered or enrolled student. Pending entries are people who have not
+// registered yet; they join by redeeming their invite code.
+const rosterEntrySchema = new mongoose.Schema({
+  name: { type: String, trim: true, default: null },
+  email: { type: String, trim: true, lowercase: true, default: null },
+  studentId: { type: String, trim: true, default: null }, // Institution student number
+  section: { type: String, trim: true, default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Set once enrolled
+  status: { type: String, enum: ['pending', 'active'], default: 'pending' },
+  inviteCode: { type: String, default: null }, // Single use; cleared when redeemed
+  invitedAt: { type: Date, default: null },
+  joinedAt: { type: Date, default: null },
+}, { _id: true });
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -40,10 +67,31 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Links to the User collection
   }],
+  teachingAssistants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // TAs can view the roster and grade, but not edit the course
+    index: true,
+  }],
+  roster: {
+    type: [rosterEntrySchema],
+    default: [],
+  },
+  joinCode: {
+    type: String,
+    default: undefined, // Shared code students can use to join; unset when disabled
+  },
   syllabus: {
     type: mongoose.Schema.Types.Mixed, // Allows storing any JSON-like structure
     default: null, // Default to null, indicating no syllabus initially
   },
+  archived: {
+    type: Boolean,
+    default: false, // Archived courses are read-only: no new submissions to their assignments
+  },
+  gradingScheme: {
+    categories: { type: [gradeCategorySchema], default: [] }, // Empty: every point counts the same
+    letterScale: { type: [letterGradeSchema], default: undefined }, // Unset: utils/gradebook.js DEFAULT_LETTER_SCALE
+  },
   // Optional: Add schedule information if needed
   // schedule: {
   //   days: { type: String, trim: true }, // e.g., "MWF", "TR"
@@ -55,6 +103,9 @@ const courseSchema = new mongoose.Schema({
   minimize: false // Keep default behavior unless space is critical
 });
 
+courseSchema.index({ joinCode: 1 }, { unique: true, sparse: true });
+courseSchema.index({ 'roster.inviteCode': 1 });
+
 // Optional: Add an index for instructor and courseCode if you need uniqueness per instructor
 // courseSchema.index({ instructor: 1, courseCode: 1 }, { unique: true });
 
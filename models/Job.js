@@ -0,0 +1,81 @@
+// backend/models/Job.js
+// Background jobs run by the submission worker (utils/submissionProcessing.js).
+// The collection itself is the queue: workers claim a queued job whose runAt has passed.
+const mongoose = require('mongoose');
+
+const jobStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null, // e.g. why the step was skipped
+  },
+  nextRunAt: {
+    type: Date,
+    default: null, // Backoff: the step is not retried before this time
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['processSubmission'],
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  steps: {
+    type: [jobStepSchema],
+    default: [],
+  },
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+    default: null, // Set while a worker holds the job and refreshed as it runs; stale locks are released
+  },
+  lockToken: {
+    type: String,
+    default: null, // The holding worker's lease; its writes only apply while the token matches
+  },
+}, {
+  timestamps: true,
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
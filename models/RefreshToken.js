@@ -0,0 +1,51 @@
+// backend/models/RefreshToken.js
+// Server-side refresh tokens (see utils/authTokens.js). Only a SHA-256 hash of the token is
+// stored. Each refresh rotates the token within its family; presenting a rotated (revoked)
+// token again revokes the whole family, since it means the token was copied.
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true, // All tokens descended from one login
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedBy: {
+    type: String,
+    default: null, // tokenHash of the token issued when this one was rotated
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,46 @@
+// backend/models/Rubric.js
+// Reusable grading rubrics. Each instructor keeps a library of them and attaches one to any
+// number of assignments (Assignment.rubric). Consistency rules live in utils/rubric.js.
+const mongoose = require('mongoose');
+
+// --- Performance level within a criterion (e.g. "Proficient", 7-8 points) ---
+const levelSchema = new mongoose.Schema({
+  label: { type: String, required: [true, 'Level label is required.'], trim: true },
+  minPoints: { type: Number, required: true, min: 0 },
+  maxPoints: { type: Number, required: true, min: 0 },
+  descriptor: { type: String, trim: true, default: '' }, // What work at this level looks like
+}, { _id: true });
+
+const criterionSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Criterion name is required.'], trim: true }, // Matched against Submission.subScores[].name
+  description: { type: String, trim: true, default: '' },
+  minPoints: { type: Number, default: 0, min: 0 },
+  maxPoints: { type: Number, required: [true, 'Criterion maxPoints is required.'], min: 0 }, // Becomes subScores[].maxScore
+  levels: { type: [levelSchema], default: [] }, // Optional; highest level first
+  objectives: { type: [String], default: undefined }, // Learning objectives this criterion assesses
+}, { _id: true });
+
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubric title is required.'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  criteria: {
+    type: [criterionSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Rubric', rubricSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Assignment = require('./Assignment');
+const Rubric = require('./Rubric');
+const { reconcileSubScores } = require('../utils/rubric');
 
 const inlineCommentSchema = new mongoose.Schema({
     // Frontend uses 'id', but Mongoose uses '_id'. We'll map this in backend/frontend.
@@ -9,6 +12,8 @@ const inlineCommentSchema = new mongoose.Schema({
     timestamp: { type: Date, default: Date.now }, // Store as Date
     author: { type: String, required: true }, // Store instructor name or ID
     isAIGenerated: { type: Boolean, default: false },
+    analysisRun: { type: mongoose.Schema.Types.ObjectId, ref: 'AnalysisRun', default: undefined }, // Run that suggested an AI comment
+    suggestion: { type: mongoose.Schema.Types.ObjectId, default: undefined }, // Suggestion id within that run
 }, { _id: true }); // Ensure subdocuments get their own _id
 
 // --- Sub-schema for Sub Scores (Rubric Items) ---
@@ -17,6 +22,7 @@ const subScoreSchema = new mongoose.Schema({
     score: { type: Number, required: true, default: 0 },
     maxScore: { type: Number, required: true },
     rationale: { type: String, default: '' },
+    evidence: { type: [String], default: undefined }, // Quotes from the submission supporting the score
 }, { _id: true });
 
 // --- Sub-schema for Overall Feedback ---
@@ -26,9 +32,23 @@ const overallFeedbackSchema = new mongoose.Schema({
     actionItems: { type: String, default: '' },
 }, { _id: false }); // Typically don't need a separate _id for this grouping
 
+// --- Sub-schema for AI-proposed grades (instructor accepts or edits before it counts) ---
+const aiDraftGradeSchema = new mongoose.Schema({
+    subScores: [subScoreSchema],
+    totalScore: { type: Number }, // Normalized to Assignment.totalPoints
+    summary: { type: String, default: '' },
+    model: { type: String },
+    analysisRun: { type: mongoose.Schema.Types.ObjectId, ref: 'AnalysisRun' }, // Run that produced this draft
+    status: { type: String, enum: ['draft', 'accepted', 'discarded'], default: 'draft' },
+    createdAt: { type: Date, default: Date.now },
+    reviewedAt: { type: Date, default: null },
+}, { _id: false });
+
 // --- Sub-schemas for AI Checker Results ---
 const aiCheckerDetailSchema = new mongoose.Schema({
-    section: { type: String },
+    section: { type: String }, // Section heading or part label (utils/chunking.js)
+    startIndex: { type: Number }, // Range of Submission.content the scores refer to
+    endIndex: { type: Number },
     aiProbability: { type: Number },
     humanProbability: { type: Number },
 }, { _id: false });
@@ -43,6 +63,7 @@ const aiCheckerResultSchema = new mongoose.Schema({
 const plagiarismMatchSchema = new mongoose.Schema({
     text: { type: String },
     source: { type: String },
+    sourceSubmission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' }, // Submission the text matched
     similarity: { type: Number }, // e.g., 0.92
 }, { _id: true }); // Matches might need unique IDs
 
@@ -51,6 +72,26 @@ const plagiarismResultSchema = new mongoose.Schema({
     matches: [plagiarismMatchSchema],
 }, { _id: false });
 
+// --- Sub-schema for the stored file (see utils/storage.js) ---
+const storageSchema = new mongoose.Schema({
+    driver: { type: String, enum: ['cloudinary', 'local', 's3'], required: true },
+    key: { type: String, required: true }, // Cloudinary public_id, path under the local root, or S3 object key
+    size: { type: Number },
+    contentType: { type: String },
+    resourceType: { type: String }, // Cloudinary only
+    format: { type: String }, // Cloudinary only
+}, { _id: false });
+
+// --- Sub-schema for Text Extraction ---
+const extractionSchema = new mongoose.Schema({
+    method: { type: String, enum: ['parser', 'ocr'] }, // 'ocr' for images and scanned PDFs
+    ocrConfidence: { type: Number, min: 0, max: 100, default: null }, // Tesseract mean word confidence
+    ocrPages: { type: Number, default: null },
+    contentHash: { type: String }, // sha256 of Submission.content
+    extractorVersion: { type: Number }, // EXTRACTOR_VERSION in utils/textExtraction.js
+    extractedAt: { type: Date },
+}, { _id: false });
+
 
 // --- Main Submission Schema ---
 const submissionSchema = new mongoose.Schema({
@@ -80,12 +121,38 @@ const submissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Attempts are grouped by assignment + submitter + student name (staff may upload for several students)
+  attemptNumber: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  isGradedAttempt: {
+    type: Boolean,
+    default: true, // The attempt that counts, per Assignment.gradedAttempt
+  },
+  instructorSelected: {
+    type: Boolean,
+    default: false, // Set when the instructor picks this attempt ('instructor' gradedAttempt policy)
+  },
   status: {
     type: String,
     required: true,
     enum: ['pending', 'graded', 'late'], // Added 'late' as a possibility
     default: 'pending',
   },
+  // New submissions are checked in the background (utils/submissionProcessing.js)
+  processingStatus: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'ready',
+  },
+  relevance: {
+    type: String,
+    enum: ['HIGHLY_RELEVANT', 'SOMEWHAT_RELEVANT', 'OFF_TOPIC', null],
+    default: null,
+  },
+  // Canonical extracted text (see utils/submissionText.js); inline comment offsets refer to it
   content: { 
     type: String,
     required: false, // Usually required for review
@@ -93,7 +160,25 @@ const submissionSchema = new mongoose.Schema({
   },
   score: { 
     type: Number,
-    default: null,
+    default: null, // Final score, after any late penalty
+  },
+  rawScore: {
+    type: Number,
+    default: null, // Score as entered by the grader, before late penalty
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  daysLate: {
+    type: Number,
+    default: 0,
+  },
+  latePenaltyPercent: {
+    type: Number,
+    default: 0, // Set from the assignment's late policy at submit time; graders may override
+    min: 0,
+    max: 100,
   },
   subScores: {
     type: [subScoreSchema],
@@ -103,6 +188,10 @@ const submissionSchema = new mongoose.Schema({
     type: overallFeedbackSchema,
     default: undefined,
   },
+  aiDraftGrade: {
+    type: aiDraftGradeSchema,
+    default: undefined,
+  },
   inlineComments: {
     type: [inlineCommentSchema],
     default: undefined,
@@ -110,13 +199,17 @@ const submissionSchema = new mongoose.Schema({
   fileUrl: {
     type: String,
     trim: true,
-    default: null,
+    default: null, // Only set on older uploads; new files are described by `storage`
   },
   fileName: {
     type: String,
     trim: true,
     default: null,
   },
+  storage: {
+    type: storageSchema,
+    default: undefined,
+  },
   aiCheckerResults: { 
     type: aiCheckerResultSchema,
     default: null,
@@ -125,6 +218,25 @@ const submissionSchema = new mongoose.Schema({
     type: plagiarismResultSchema,
     default: null,
   },
+  extraction: {
+    type: extractionSchema,
+    default: undefined,
+  },
+  // Winnowed text fingerprints (hashes) used for cross-submission plagiarism checks
+  fingerprints: {
+    type: [Number],
+    default: undefined,
+    select: false,
+  },
+  // Students only see score and feedback once the instructor releases them
+  feedbackReleased: {
+    type: Boolean,
+    default: false,
+  },
+  feedbackReleasedAt: {
+    type: Date,
+    default: null,
+  },
   // --- KEPT: General Feedback String (can coexist or be replaced by overallFeedback) ---
   feedback: { 
     type: String,
@@ -136,4 +248,20 @@ const submissionSchema = new mongoose.Schema({
     minimize: true
 });
 
+// Unique so two concurrent uploads cannot take the same number (createSubmission retries on a clash).
+// Submissions saved before numbered attempts must be renumbered first (npm run migrate:renumber-attempts)
+// or the index build fails.
+submissionSchema.index({ assignmentId: 1, submittedBy: 1, studentName: 1, attemptNumber: 1 }, { unique: true });
+
+// Scores for an assignment with a library rubric must use its criteria and points (utils/rubric.js)
+submissionSchema.pre('validate', async function () {
+    if (!this.isModified('subScores') || !this.subScores?.length) return;
+    const assignment = await Assignment.findById(this.assignmentId).select('rubric').lean();
+    const rubric = assignment?.rubric ? await Rubric.findById(assignment.rubric).select('title criteria').lean() : null;
+    if (!rubric) return;
+
+    const errors = reconcileSubScores(this.subScores, rubric);
+    if (errors.length) this.invalidate('subScores', `Sub-scores do not match the rubric: ${errors.join(' ')}`);
+});
+
 module.exports = mongoose.model('Submission', submissionSchema);
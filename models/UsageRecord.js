@@ -0,0 +1,45 @@
+// backend/models/UsageRecord.js
+// One metered AI analysis (see utils/usage.js) and the provider calls it took. `account` is the
+// user whose plan pays for it (the course owner for work on a course), `user` the person or
+// submitter behind it.
+const mongoose = require('mongoose');
+
+const usageRecordSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  kind: {
+    type: String,
+    enum: ['ai'],
+    default: 'ai',
+  },
+  task: {
+    type: String, // utils/llm.js task: generate, relevance, aiCheck, feedback, grading
+    required: true,
+  },
+  provider: { type: String, default: null },
+  model: { type: String, default: null },
+  calls: { type: Number, default: 0 }, // Provider calls, including chunks and repair retries
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+usageRecordSchema.index({ account: 1, createdAt: -1 });
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
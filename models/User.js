@@ -2,10 +2,20 @@ const mongoose = require('mongoose')
 
 const userSchema = new mongoose.Schema({
   name: String,
-  email: { type: String, unique: true },
+  email: { type: String, unique: true, trim: true, lowercase: true },
   password: String,
   plan: String,
   billingCycle: String,
+  studentId: { type: String, trim: true, default: null }, // Institution student number (SIS ID), used in grade exports
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate every access token (utils/authTokens.js)
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  // Platform-wide role; per-course roles (TA, enrolled student) live on Course
+  role: {
+    type: String,
+    enum: ['instructor', 'teaching_assistant', 'student', 'admin'],
+    default: 'instructor', // Accounts from before roles existed; sign-up sets the chosen role
+  },
 })
 
 module.exports = mongoose.model('User', userSchema)
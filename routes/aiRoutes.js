@@ -1,102 +1,63 @@
 // backend/routes/aiRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const OpenAI = require("openai");
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const AnalysisRun = require('../models/AnalysisRun');
 const authMiddleware = require('../middleware/authMiddleware'); // Protect the route
+const { isAssignmentStaff } = require('../middleware/roleMiddleware');
+const { getSubmissionText } = require('../utils/submissionText');
+const { gradingRubric } = require('../utils/rubric');
+const { applyLatePenalty } = require('../utils/latePolicy');
+const { attemptGroupFilter, refreshGradedAttempt } = require('../utils/attempts');
+const { LLMProviderError } = require('../utils/llm');
+const { QuotaError, sendQuotaError } = require('../utils/usage');
+const { StructuredOutputError } = require('../utils/structuredOutput');
+const { scaledTotal } = require('../utils/aiGrading');
+const { runFeedbackAnalysis, runGradingAnalysis, compareRuns, RUN_DETAIL_FIELDS } = require('../utils/analysisRuns');
 
 dotenv.config();
 const router = express.Router();
 
-const validateAnalysisRequest = (req, res, next) => {
-    const { submissionContent } = req.body;
-    if (!submissionContent || typeof submissionContent !== 'string' || submissionContent.trim().length === 0) {
-        return res.status(400).json({ message: 'Missing or invalid submissionContent in request body.' });
-    }
-    next();
-};
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || "",
-});
-
-// --- POST /api/ai/analyze-submission ---
-router.post('/analyze-submission', authMiddleware, validateAnalysisRequest, async (req, res) => {
-    const { submissionContent } = req.body;
-    console.log(`AI Analysis requested via OpenAI for content (length: ${submissionContent.length})`);
-
-    // --- Construct the Prompt (Same structured text prompt should work well) ---
-    const prompt = `
-        Analyze the following student submission text for an assignment. Provide constructive feedback suitable for a teacher reviewing the work. Structure your response *exactly* like the example below, including the section headers (STRENGTHS:, IMPROVEMENTS:, ACTION ITEMS:, INLINE COMMENTS:) and the QUOTE:/COMMENT: format for inline suggestions. Identify 2-4 key areas for inline comments focusing on clarity, argumentation, evidence, or grammar.
-
-        EXAMPLE STRUCTURE:
-        STRENGTHS:
-        - Strength 1 identified from the text.
-        - Strength 2 identified from the text.
-
-        IMPROVEMENTS:
-        - Area for improvement 1.
-        - Area for improvement 2.
-
-        ACTION ITEMS:
-        - Specific action item 1 for the student.
-        - Specific action item 2 for the student.
-
-        INLINE COMMENTS:
-        ---
-        QUOTE: "Exact quote from the text needing a comment (keep it relatively short, like a sentence or phrase)."
-        COMMENT: "Your constructive comment about this specific quote."
-        ---
-        QUOTE: "Another distinct exact quote from the text."
-        COMMENT: "Another comment for the second quote."
-        ---
-
-        SUBMISSION CONTENT TO ANALYZE:
-        """
-        ${submissionContent}
-        """
-    `;
-
+// --- POST /api/ai/analyze-submission/:submissionId --- (also accepts { submissionId } in the body)
+// Analyzes the submission's stored text and records the run (models/AnalysisRun.js).
+router.post(['/analyze-submission', '/analyze-submission/:submissionId'], authMiddleware, async (req, res) => {
     try {
-        console.log("Sending request to OpenAI API...");
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo", // Or "gpt-4", "gpt-4o-mini", etc.
-            messages: [
-                // Optional: Add a system message to guide the AI's persona/role
-                // { role: "system", content: "You are a helpful teaching assistant providing feedback on student submissions." },
-                { role: "user", content: prompt }
-            ],
-            temperature: 0.6, // Adjust temperature for creativity vs consistency (0.0 to 1.0)
-            // max_tokens: 1000 // Optional: limit response length
-        });
-
-        const aiTextResponse = completion.choices[0]?.message?.content?.trim();
-
-        if (!aiTextResponse) {
-            console.error("OpenAI API Error: No text content received in response.", completion);
-            throw new Error("AI analysis failed: No response content from OpenAI model.");
+        const submissionId = req.params.submissionId || req.body?.submissionId;
+        if (!submissionId) {
+            return res.status(400).json({ message: 'submissionId is required; analysis runs are stored with the submission.' });
         }
+        const loaded = await loadGradableSubmission(req, res, submissionId);
+        if (!loaded) return;
+        const { submission, assignment } = loaded;
 
-        console.log("Received response text from OpenAI API (snippet):", aiTextResponse.substring(0, 200) + "...");
-
-        const parsedFeedback = parseAIResponse(aiTextResponse);
-        const locatedComments = locateInlineComments(parsedFeedback.rawInlineComments, submissionContent);
+        const text = await getSubmissionText(submission);
+        if (!text || !text.trim()) {
+            return res.status(422).json({ message: 'Submission has no text to analyze.' });
+        }
+        console.log(`AI Analysis requested for submission ${submission._id} (length: ${text.length})`);
 
-        const finalResponse = {
-            suggestedOverallFeedback: {
-                strengths: parsedFeedback.strengths,
-                improvements: parsedFeedback.improvements,
-                actionItems: parsedFeedback.actionItems,
-            },
-            suggestedInlineComments: locatedComments,
-        };
+        const meter = { account: assignment.createdBy, user: req.user.id, submission: submission._id, interactive: true };
+        const { run, analysis } = await runFeedbackAnalysis({ submission, assignment, text, user: req.user, meter });
 
-        res.status(200).json(finalResponse);
+        if (analysis.unplacedCommentCount) {
+            console.warn(`${analysis.unplacedCommentCount} suggested inline comment(s) could not be placed in the text.`);
+        }
+        res.status(200).json({
+            analysisRun: { _id: run._id, model: run.model, promptVersion: run.promptVersion, createdAt: run.createdAt },
+            ...analysis,
+        });
 
     } catch (error) {
-        console.error("Error during OpenAI analysis:", error);
+        console.error("Error during AI analysis:", error);
+        if (error instanceof QuotaError) return sendQuotaError(res, error);
+        if (error instanceof StructuredOutputError) {
+            return res.status(error.status).json({ message: error.message, errors: error.problems });
+        }
         let errorMessage = 'Server error during AI analysis.';
-         if (error instanceof OpenAI.APIError) {
-             errorMessage = `OpenAI API Error: ${error.status} ${error.name} - ${error.message}`;
+         if (error instanceof LLMProviderError) {
+             errorMessage = error.message;
              res.status(error.status || 500); // Use status from error if available
          } else if (error instanceof Error) {
              errorMessage = error.message;
@@ -108,103 +69,204 @@ router.post('/analyze-submission', authMiddleware, validateAnalysisRequest, asyn
     }
 });
 
-function parseAIResponse(text) {
-    const feedback = {
-        strengths: "",
-        improvements: "",
-        actionItems: "",
-        rawInlineComments: [] // Store { quote, comment } pairs
-    };
+// --- AI run history (audit trail) ---
 
+// GET /api/ai/submissions/:submissionId/analysis-runs?kind=feedback|grading
+router.get('/submissions/:submissionId/analysis-runs', authMiddleware, async (req, res) => {
     try {
-        // Use flags to determine current section
-        let currentSection = null;
-        const lines = text.split('\n');
-        let currentComment = null;
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-
-            // Section Headers
-            if (trimmedLine.match(/^STRENGTHS:/i)) { currentSection = 'strengths'; continue; }
-            if (trimmedLine.match(/^IMPROVEMENTS:/i)) { currentSection = 'improvements'; continue; }
-            if (trimmedLine.match(/^ACTION ITEMS:/i)) { currentSection = 'actionItems'; continue; }
-            if (trimmedLine.match(/^INLINE COMMENTS:/i)) { currentSection = 'inline'; continue; }
-
-            // Separator for inline comments
-            if (trimmedLine === '---' && currentSection === 'inline') {
-                if (currentComment?.quote && currentComment?.comment) {
-                    feedback.rawInlineComments.push({...currentComment}); // Push copy
-                }
-                currentComment = null; // Reset for next block
-                continue;
-            }
-
-            switch (currentSection) {
-                case 'strengths':
-                case 'improvements':
-                case 'actionItems':
-                    if (trimmedLine.startsWith('- ') || (trimmedLine && feedback[currentSection])) {
-                        feedback[currentSection] += (feedback[currentSection] ? '\n' : '') + trimmedLine.replace(/^- /, '').trim();
-                    } else if (trimmedLine && !feedback[currentSection]){
-                         feedback[currentSection] += trimmedLine; // First line without '-'
-                    }
-                    break;
-                case 'inline':
-                    const quoteMatch = trimmedLine.match(/^QUOTE:\s*"?(.+?)"?$/i);
-                    const commentMatch = trimmedLine.match(/^COMMENT:\s*"?(.+?)"?$/i);
-
-                    if (quoteMatch) {
-                         // If starting a new quote block, save previous complete one first
-                         if (currentComment?.quote && currentComment?.comment) {
-                             feedback.rawInlineComments.push({...currentComment});
-                         }
-                        currentComment = { quote: quoteMatch[1].trim(), comment: "" };
-                    } else if (commentMatch && currentComment) {
-                        currentComment.comment = commentMatch[1].trim();
-                    } else if (currentComment && !currentComment.comment && trimmedLine) {
-                        // Handle case where comment might start on next line without "COMMENT:" prefix (less ideal)
-                        currentComment.comment = trimmedLine.trim().replace(/^"|"$/g, '');
-                    }
-                     else if (currentComment?.comment && trimmedLine) {
-                        // Handle multi-line comments (append)
-                        currentComment.comment += '\n' + trimmedLine;
-                    }
-                    break;
-                default:
-                    break; // Ignore lines before first header
-            }
-        }
-         // Add the last comment block if it exists and is complete
-         if (currentComment?.quote && currentComment?.comment && currentSection === 'inline') {
-             feedback.rawInlineComments.push({...currentComment});
-         }
+        const loaded = await loadGradableSubmission(req, res);
+        if (!loaded) return;
+
+        const filter = { submission: loaded.submission._id };
+        if (['feedback', 'grading'].includes(req.query.kind)) filter.kind = req.query.kind;
+        const runs = await AnalysisRun.find(filter)
+                                      .select(RUN_DETAIL_FIELDS)
+                                      .populate('requestedBy', 'name email')
+                                      .sort({ createdAt: -1 })
+                                      .lean();
+
+        res.status(200).json(runs);
+    } catch (error) {
+        console.error("Error fetching analysis runs:", error);
+        res.status(500).json({ message: 'Server error fetching analysis runs', error: error.message });
+    }
+});
+
+// GET /api/ai/submissions/:submissionId/analysis-runs/compare?a=<runId>&b=<runId>
+router.get('/submissions/:submissionId/analysis-runs/compare', authMiddleware, async (req, res) => {
+    try {
+        const { a, b } = req.query;
+        if (![a, b].every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ message: 'Query parameters a and b must be analysis run IDs.' });
+        }
+        const loaded = await loadGradableSubmission(req, res);
+        if (!loaded) return;
+
+        const runs = await AnalysisRun.find({ _id: { $in: [a, b] }, submission: loaded.submission._id }).lean();
+        const runA = runs.find(run => run._id.toString() === a);
+        const runB = runs.find(run => run._id.toString() === b);
+        if (!runA || !runB) {
+            return res.status(404).json({ message: 'Both runs must be analysis runs of this submission.' });
+        }
+
+        res.status(200).json(compareRuns(runA, runB));
+    } catch (error) {
+        console.error("Error comparing analysis runs:", error);
+        res.status(500).json({ message: 'Server error comparing analysis runs', error: error.message });
+    }
+});
+
+// GET /api/ai/analysis-runs/:runId -- the full run, with the submission's comments that came from it
+router.get('/analysis-runs/:runId', authMiddleware, async (req, res) => {
+    try {
+        const { runId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(runId)) {
+            return res.status(400).json({ message: 'Invalid analysis run ID format' });
+        }
+        const run = await AnalysisRun.findById(runId).populate('requestedBy', 'name email').lean();
+        if (!run) {
+            return res.status(404).json({ message: 'Analysis run not found' });
+        }
+        const loaded = await loadGradableSubmission(req, res, run.submission.toString());
+        if (!loaded) return;
+
+        const adoptedComments = (loaded.submission.inlineComments || [])
+            .filter(comment => comment.analysisRun?.toString() === run._id.toString())
+            .map(comment => comment.toObject());
 
-    } catch (parseError) {
-        console.error("Error parsing AI response:", parseError);
+        res.status(200).json({ ...run, adoptedComments });
+    } catch (error) {
+        console.error("Error fetching analysis run:", error);
+        res.status(500).json({ message: 'Server error fetching analysis run', error: error.message });
     }
+});
 
-    return feedback;
+// --- Rubric-driven AI grading (draft grades for instructor review; prompts in utils/aiGrading.js) ---
+
+// Load a submission + its assignment and make sure the requester may grade it. Access follows
+// the course (owner, course TAs, admins), not the platform role: TAs usually sign up as students.
+async function loadGradableSubmission(req, res, submissionId = req.params.submissionId) {
+    if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+        res.status(400).json({ message: 'Invalid submission ID format' });
+        return null;
+    }
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+        res.status(404).json({ message: 'Submission not found' });
+        return null;
+    }
+    const assignment = await Assignment.findById(submission.assignmentId)
+        .select('createdBy course title description content rubric totalPoints aiGradingEnabled gradedAttempt')
+        .populate('rubric', 'title criteria');
+    if (!(await isAssignmentStaff(assignment, req.user))) {
+        res.status(403).json({ message: 'Permission denied.' });
+        return null;
+    }
+    return { submission, assignment };
 }
 
+// --- POST /api/ai/grade-submission/:submissionId --- (creates/replaces the draft grade)
+router.post('/grade-submission/:submissionId', authMiddleware, async (req, res) => {
+    try {
+        const loaded = await loadGradableSubmission(req, res);
+        if (!loaded) return;
+        const { submission, assignment } = loaded;
 
-function locateInlineComments(rawComments, originalContent) {
-    const locatedComments = [];
-    let searchStartIndex = 0;
+        if (!assignment.aiGradingEnabled) {
+            return res.status(403).json({ message: 'AI grading is not enabled for this assignment.' });
+        }
+        const rubric = gradingRubric(assignment);
+        if (!rubric) {
+            return res.status(400).json({ message: 'This assignment has no rubric to grade against.' });
+        }
+
+        const submissionText = await getSubmissionText(submission);
+        if (!submissionText || submissionText.trim().length < 20) {
+            return res.status(422).json({ message: 'Submission has too little text to grade.' });
+        }
 
-    for (const { quote, comment } of rawComments) {
-        if (!quote || !comment) continue;
-        const startIndex = originalContent.indexOf(quote, searchStartIndex);
+        const meter = { account: assignment.createdBy, user: req.user.id, submission: submission._id, interactive: true };
+        const { run, draft } = await runGradingAnalysis({ submission, assignment, rubric, text: submissionText, user: req.user, meter });
+        submission.aiDraftGrade = { ...draft, model: run.model, analysisRun: run._id, status: 'draft', createdAt: new Date(), reviewedAt: null };
+        await submission.save();
 
-        if (startIndex !== -1) {
-            const endIndex = startIndex + quote.length;
-            locatedComments.push({ startIndex, endIndex, text: comment });
-            searchStartIndex = endIndex; // Advance search position
-        } else {
-            console.warn(`Could not locate quote in submission content: "${quote.substring(0, 50)}..."`);
+        res.status(200).json({ aiDraftGrade: submission.aiDraftGrade });
+
+    } catch (error) {
+        console.error("Error during AI grading:", error);
+        if (error instanceof QuotaError) return sendQuotaError(res, error);
+        if (error instanceof LLMProviderError) {
+            return res.status(error.status || 500).json({ message: error.message });
         }
+        if (error instanceof StructuredOutputError) {
+            return res.status(error.status).json({ message: error.message, errors: error.problems });
+        }
+        res.status(500).json({ message: 'Server error during AI grading', error: error.message });
     }
-    return locatedComments;
-}
+});
+
+// --- POST /api/ai/grade-submission/:submissionId/accept --- (optionally with edited subScores/score)
+router.post('/grade-submission/:submissionId/accept', authMiddleware, async (req, res) => {
+    try {
+        const loaded = await loadGradableSubmission(req, res);
+        if (!loaded) return;
+        const { submission, assignment } = loaded;
+
+        const draft = submission.aiDraftGrade;
+        if (!draft || draft.status !== 'draft') {
+            return res.status(404).json({ message: 'No pending AI draft grade for this submission.' });
+        }
+
+        const { subScores, score } = req.body;
+        const finalSubScores = Array.isArray(subScores) ? subScores : draft.subScores.map(s => s.toObject());
+        submission.subScores = finalSubScores.map((item) => ({ ...item, _id: item._id || new mongoose.Types.ObjectId() }));
+        // Edited criterion scores without an explicit score: total them like the draft did
+        // (a criterion sent without maxScore keeps the draft's)
+        const draftMaxScore = (name) => draft.subScores.find(s => s.name === name)?.maxScore;
+        const acceptedTotal = Array.isArray(subScores)
+            ? scaledTotal(finalSubScores.map(item => ({ ...item, maxScore: item.maxScore ?? draftMaxScore(item.name) })), assignment.totalPoints)
+            : draft.totalScore;
+        submission.rawScore = typeof score === 'number' ? score : acceptedTotal;
+        submission.score = applyLatePenalty(submission.rawScore, submission.latePenaltyPercent);
+        submission.status = 'graded';
+        draft.status = 'accepted';
+        draft.reviewedAt = new Date();
+
+        await submission.save();
+        await refreshGradedAttempt(attemptGroupFilter(submission), assignment.gradedAttempt);
+
+        res.status(200).json({ message: 'AI draft grade accepted', submission });
+
+    } catch (error) {
+        console.error("Error accepting AI draft grade:", error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((val) => val.message);
+            return res.status(400).json({ message: 'Validation failed', errors: messages });
+        }
+        res.status(500).json({ message: 'Server error accepting AI draft grade', error: error.message });
+    }
+});
+
+// --- DELETE /api/ai/grade-submission/:submissionId --- (discard the draft)
+router.delete('/grade-submission/:submissionId', authMiddleware, async (req, res) => {
+    try {
+        const loaded = await loadGradableSubmission(req, res);
+        if (!loaded) return;
+        const { submission } = loaded;
+
+        if (!submission.aiDraftGrade || submission.aiDraftGrade.status !== 'draft') {
+            return res.status(404).json({ message: 'No pending AI draft grade for this submission.' });
+        }
+        submission.aiDraftGrade.status = 'discarded';
+        submission.aiDraftGrade.reviewedAt = new Date();
+        await submission.save();
+
+        res.status(200).json({ message: 'AI draft grade discarded' });
+
+    } catch (error) {
+        console.error("Error discarding AI draft grade:", error);
+        res.status(500).json({ message: 'Server error discarding AI draft grade', error: error.message });
+    }
+});
 
 module.exports = router;
\ No newline at end of file
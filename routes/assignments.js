@@ -2,12 +2,32 @@ const express = require('express');
 const mongoose = require('mongoose')
 const Assignment = require('../models/Assignment'); 
 const Submission = require('../models/Submission');
-const { generateContent } = require("../utils/openai")
+const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
+const { LLMProviderError } = require("../utils/llm")
+const { QuotaError, sendQuotaError } = require('../utils/usage');
+const { completeStructured, StructuredOutputError } = require('../utils/structuredOutput');
+const { GENERATION_SCHEMA, parseGenerationRequest, buildGenerationPrompt, validateGeneratedAssignment, validateGeneratedDraft, saveGeneratedDraft } = require('../utils/assignmentGeneration');
 const authMiddleware = require('../middleware/authMiddleware'); 
+const { requireRole, isAssignmentStaff, isAssignmentOwner } = require('../middleware/roleMiddleware');
+const { refreshGradedAttempt } = require('../utils/attempts');
+const { buildGradeRows, renderGradeRows, parseExportQuery, exportFileName } = require('../utils/gradeExport');
+const { sectionsByStudent } = require('../utils/enrollment');
 
 const router = express.Router();
 
-router.post('/', authMiddleware, async (req, res) => {
+// Rubrics can only be attached from the user's own library (admins may use any).
+// Returns a problem message, or null when rubricId is fine (null/'' detaches).
+async function rubricProblem(rubricId, user) {
+  if (rubricId === null || rubricId === '') return null;
+  if (!mongoose.Types.ObjectId.isValid(rubricId)) return 'Invalid rubric ID format';
+  const rubric = await Rubric.findById(rubricId).select('owner').lean();
+  if (!rubric) return 'Rubric not found.';
+  if (user.role !== 'admin' && rubric.owner.toString() !== user.id.toString()) return 'You can only attach rubrics from your own library.';
+  return null;
+}
+
+router.post('/', authMiddleware, requireRole('instructor'), async (req, res) => {
   try {
     const {
       type,
@@ -17,7 +37,16 @@ router.post('/', authMiddleware, async (req, res) => {
       description,
       learningObjectives,
       content,
-      lmsIntegration
+      lmsIntegration,
+      totalPoints,
+      allowLateSubmissions,
+      latePolicy,
+      maxAttempts,
+      gradedAttempt,
+      aiGradingEnabled,
+      category,
+      rubric,
+      status
     } = req.body;
 
     const createdBy = req.user.id;
@@ -26,6 +55,25 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields: type, title, course, description' });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({ message: 'Invalid course ID format' });
+    }
+
+    const parentCourse = await Course.findById(course).select('instructor archived');
+    if (!parentCourse) {
+      return res.status(404).json({ message: 'Course not found.' });
+    }
+    if (req.user.role !== 'admin' && parentCourse.instructor.toString() !== createdBy.toString()) {
+      return res.status(403).json({ message: 'You can only create assignments for courses you teach.' });
+    }
+    if (parentCourse.archived) {
+      return res.status(400).json({ message: 'Cannot add assignments to an archived course.' });
+    }
+    const rubricError = rubric !== undefined ? await rubricProblem(rubric, req.user) : null;
+    if (rubricError) {
+      return res.status(400).json({ message: rubricError });
+    }
+
     const newAssignment = new Assignment({
       type,
       title,
@@ -35,6 +83,15 @@ router.post('/', authMiddleware, async (req, res) => {
       learningObjectives: learningObjectives || null,
       content: content || {}, // Ensure content is at least an empty object
       lmsIntegration: lmsIntegration || [],
+      totalPoints,
+      allowLateSubmissions,
+      latePolicy: latePolicy || undefined,
+      maxAttempts: maxAttempts || null,
+      gradedAttempt: gradedAttempt || undefined,
+      aiGradingEnabled: aiGradingEnabled === true,
+      category: category || null,
+      rubric: rubric || null,
+      status: status || undefined,
       createdBy, // Link to the user who created it
     });
 
@@ -57,7 +114,9 @@ router.get('/', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
         // const assignments = await Assignment.find().sort({ createdAt: -1 });
-        const assignments = await Assignment.find({ createdBy: userId }).sort({ createdAt: -1 });
+        const assignments = await Assignment.find({ createdBy: userId })
+                                            .populate('course', 'title courseCode')
+                                            .sort({ createdAt: -1 });
         res.status(200).json(assignments);
     } catch (error) {
         console.error("Error fetching assignments:", error);
@@ -68,22 +127,19 @@ router.get('/', authMiddleware, async (req, res) => {
 router.get('/:id/edit', authMiddleware, async (req, res) => {
   try {
       console.log("Received request to fetch assignment for editing with ID:", req.params.id);
-      const userId = req.user.id;
       const assignmentId = req.params.id;
 
       if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
           return res.status(400).json({ message: 'Invalid assignment ID format' });
       }
 
-      const assignment = await Assignment.findOne({ _id: assignmentId, createdBy: userId });
+      const assignment = await Assignment.findById(assignmentId).populate('rubric');
 
       if (!assignment) {
-          const assignmentExists = await Assignment.findById(assignmentId).select('_id');
-          if (!assignmentExists) {
-              return res.status(404).json({ message: 'Assignment not found.' });
-          } else {
-              return res.status(403).json({ message: 'You do not have permission to view this assignment.' });
-          }
+          return res.status(404).json({ message: 'Assignment not found.' });
+      }
+      if (!isAssignmentOwner(assignment, req.user)) {
+          return res.status(403).json({ message: 'You do not have permission to view this assignment.' });
       }
 
       res.status(200).json(assignment);
@@ -98,26 +154,27 @@ router.get('/:id/edit', authMiddleware, async (req, res) => {
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
       // console.log("Getting assignment details for ID:", req.params.id);
-      const userId = req.user.id; 
       const assignmentId = req.params.id;
 
       if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
            return res.status(400).json({ message: 'Invalid assignment ID format' });
       }
 
-      const assignment = await Assignment.findOne({ _id: assignmentId, createdBy: userId }).lean(); // Use lean() for plain JS object
+      const assignment = await Assignment.findById(assignmentId)
+                                         .populate('course', 'title courseCode')
+                                         .populate('rubric')
+                                         .lean(); // Use lean() for plain JS object
 
       if (!assignment) {
-          
-           const assignmentExists = await Assignment.findById(assignmentId).select('_id');
-           if (!assignmentExists) {
-              return res.status(404).json({ message: 'Assignment not found.' });
-           } else {
-              return res.status(403).json({ message: 'You do not have permission to view this assignment.' });
-           }
+          return res.status(404).json({ message: 'Assignment not found.' });
+      }
+      // Creator, course TAs and admins can review all submissions
+      if (!(await isAssignmentStaff(assignment, req.user))) {
+          return res.status(403).json({ message: 'You do not have permission to view this assignment.' });
       }
 
       const submissions = await Submission.find({ assignmentId: assignment._id })
+                                          .select('-content') // Full text is served by GET /api/submissions/:submissionId
                                           .populate('submittedBy', 'name email') // Select 'name' and 'email' from User model
                                           .sort({ submissionDate: -1 }) // Sort by submission date, newest first
                                           .lean(); // Use lean() for plain JS objects
@@ -145,7 +202,6 @@ router.put('/:id/edit', authMiddleware, async (req, res) => {
     try {
         console.log("Received request to update assignment with ID:", req.params);
         const { id: assignmentId } = req.params;
-        const userId = req.user.id;
         const updates = req.body; 
 
         if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
@@ -157,14 +213,17 @@ router.put('/:id/edit', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found.' });
         }
 
-        if (assignment.createdBy.toString() !== userId.toString()) {
+        if (!isAssignmentOwner(assignment, req.user)) {
              return res.status(403).json({ message: 'You do not have permission to update this assignment.' });
         }
 
         const allowedUpdates = [
             'title', 'description', 'dueDate', 'totalPoints', 'type',
             'content', // Allows updating the nested { instructions, rubric } object
-            'publishToLMS', 'plagiarismCheckEnabled', 'aiGradingEnabled', 'allowLateSubmissions'
+            'publishToLMS', 'plagiarismCheckEnabled', 'aiGradingEnabled', 'allowLateSubmissions', 'latePolicy',
+            'maxAttempts', 'gradedAttempt', 'category',
+            'rubric', // Library rubric ID, or null to detach
+            'status', // 'draft' or 'published'
             // Note: 'course' is usually not editable after creation
         ];
         const finalUpdates = {};
@@ -182,6 +241,14 @@ router.put('/:id/edit', authMiddleware, async (req, res) => {
         delete finalUpdates.createdBy;
         delete finalUpdates.course; // Usually course cannot be changed
 
+        if (finalUpdates.rubric !== undefined) {
+            const rubricError = await rubricProblem(finalUpdates.rubric, req.user);
+            if (rubricError) {
+                return res.status(400).json({ message: rubricError });
+            }
+            finalUpdates.rubric = finalUpdates.rubric || null;
+        }
+
         // Perform the update using findByIdAndUpdate
         const updatedAssignment = await Assignment.findByIdAndUpdate(
             assignmentId,
@@ -193,6 +260,20 @@ router.put('/:id/edit', authMiddleware, async (req, res) => {
              return res.status(404).json({ message: 'Assignment not found after update attempt.' });
         }
 
+        // Changing which attempt counts re-evaluates every student's attempts
+        if (finalUpdates.gradedAttempt && finalUpdates.gradedAttempt !== assignment.gradedAttempt) {
+            const groups = await Submission.aggregate([
+                { $match: { assignmentId: updatedAssignment._id } },
+                { $group: { _id: { submittedBy: '$submittedBy', studentName: '$studentName' } } },
+            ]);
+            for (const { _id: group } of groups) {
+                await refreshGradedAttempt(
+                    { assignmentId: updatedAssignment._id, submittedBy: group.submittedBy, studentName: group.studentName ?? null },
+                    updatedAssignment.gradedAttempt
+                );
+            }
+        }
+
         res.status(200).json(updatedAssignment); // Send back the updated assignment
 
     } catch (error) {
@@ -213,22 +294,19 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   try {
       console.log("Received request to delete assignment with ID:", req.params.id);
       const { id: assignmentId } = req.params;
-      const userId = req.user.id;
 
       if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
           return res.status(400).json({ message: 'Invalid assignment ID format.' });
       }
 
       // Find the assignment to check ownership before deleting
-      const assignment = await Assignment.findOne({ _id: assignmentId, createdBy: userId });
+      const assignment = await Assignment.findById(assignmentId);
 
       if (!assignment) {
-          const assignmentExists = await Assignment.findById(assignmentId).select('_id');
-          if (!assignmentExists) {
-              return res.status(404).json({ message: 'Assignment not found.' });
-          } else {
-              return res.status(403).json({ message: 'You do not have permission to delete this assignment.' });
-          }
+          return res.status(404).json({ message: 'Assignment not found.' });
+      }
+      if (!isAssignmentOwner(assignment, req.user)) {
+          return res.status(403).json({ message: 'You do not have permission to delete this assignment.' });
       }
 
       // --- TODO: Handle associated data deletion ---
@@ -249,23 +327,177 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
 
 
-router.post("/generate", async (req, res) => {
-    const { prompt } = req.body;
-  
-    console.log("Received request with prompt:", prompt);
-  
-    if (!prompt) {
-      return res.status(400).json({ error: "Prompt is required" });
+router.put('/:id/release-grades', authMiddleware, async (req, res) => {
+  try {
+      const { id: assignmentId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+          return res.status(400).json({ message: 'Invalid assignment ID format.' });
+      }
+
+      const assignment = await Assignment.findById(assignmentId).select('createdBy course');
+      if (!assignment) {
+          return res.status(404).json({ message: 'Assignment not found.' });
+      }
+      if (!(await isAssignmentStaff(assignment, req.user))) {
+          return res.status(403).json({ message: 'You do not have permission to release grades for this assignment.' });
+      }
+
+      // Only graded work is released; pending submissions stay hidden until graded
+      const result = await Submission.updateMany(
+          { assignmentId, status: 'graded', feedbackReleased: { $ne: true } },
+          { $set: { feedbackReleased: true, feedbackReleasedAt: new Date() } }
+      );
+
+      res.status(200).json({ message: 'Grades released successfully.', releasedCount: result.modifiedCount });
+
+  } catch (error) {
+      console.error("Error releasing grades:", error);
+      res.status(500).json({ message: 'Server error releasing grades.', error: error.message });
+  }
+});
+
+
+// GET /:id/grades/export?format=csv|xlsx&layout=generic|canvas|moodle|classroom&include=subscores,feedback&section=...
+router.get('/:id/grades/export', authMiddleware, async (req, res) => {
+  try {
+      const { id: assignmentId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+          return res.status(400).json({ message: 'Invalid assignment ID format.' });
+      }
+      const { options, error: queryError } = parseExportQuery(req.query);
+      if (queryError) {
+          return res.status(400).json({ message: queryError });
+      }
+
+      const assignment = await Assignment.findById(assignmentId).select('title createdBy course totalPoints').lean();
+      if (!assignment) {
+          return res.status(404).json({ message: 'Assignment not found.' });
+      }
+      if (!(await isAssignmentStaff(assignment, req.user))) {
+          return res.status(403).json({ message: 'You do not have permission to export grades for this assignment.' });
+      }
+
+      const course = await Course.findById(assignment.course).select('courseCode students roster').populate('students', '_id name email studentId').lean();
+      const sections = sectionsByStudent(course || {});
+      const students = (course?.students || [])
+          .map((s) => ({ ...s, section: sections.get(s._id.toString()) || null }))
+          .filter((s) => !req.query.section || s.section === req.query.section)
+          .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      const submissions = await Submission.find({ assignmentId, submittedBy: { $in: students.map((s) => s._id) }, isGradedAttempt: true })
+          .select('assignmentId submittedBy score subScores overallFeedback feedback')
+          .lean();
+
+      const rows = buildGradeRows({ ...options, assignments: [assignment], students, submissions });
+      const file = await renderGradeRows(rows, { format: options.format, sheetName: assignment.title });
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(`${course?.courseCode || 'course'}-${assignment.title}-grades`, file.extension)}"`);
+      res.send(file.buffer);
+
+  } catch (error) {
+      console.error("Error exporting assignment grades:", error);
+      res.status(500).json({ message: 'Server error exporting grades.', error: error.message });
+  }
+});
+
+
+// --- AI assignment generation (utils/assignmentGeneration.js) ---
+
+// The course a generated draft is for: taught by the requester (or any course for admins) and not archived
+async function loadGenerationCourse(courseId, user) {
+  const course = await Course.findById(courseId).select('title instructor archived syllabus');
+  if (!course) return { status: 404, message: 'Course not found.' };
+  if (user.role !== 'admin' && course.instructor.toString() !== user.id.toString()) {
+    return { status: 403, message: 'You can only generate assignments for courses you teach.' };
+  }
+  if (course.archived) return { status: 400, message: 'Cannot add assignments to an archived course.' };
+  return { course };
+}
+
+// Body: { type, learningObjectives, gradeLevel, courseId, topic, totalPoints, exemplarCount, save, dueDate }
+// Returns { generated } and, with save: true (needs courseId), the draft { assignment, rubric } it was saved as.
+router.post('/generate', authMiddleware, requireRole('instructor'), async (req, res) => {
+  try {
+    const { options, errors } = parseGenerationRequest(req.body);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation failed', errors });
     }
-  
-    try {
-      const content = await generateContent(prompt);
-      res.json({ content });
-    } catch (err) {
-      console.error("OpenAI Error:", err);
-      res.status(500).json({ error: "Failed to generate content" });
+    if (req.body.save && !options.courseId) {
+      return res.status(400).json({ message: 'courseId is required to save the generated assignment.' });
+    }
+
+    let course = null;
+    if (options.courseId) {
+      const loaded = await loadGenerationCourse(options.courseId, req.user);
+      if (!loaded.course) return res.status(loaded.status).json({ message: loaded.message });
+      course = loaded.course;
+    }
+
+    const { value } = await completeStructured({
+      meter: { account: req.user.id, user: req.user.id, interactive: true },
+      task: 'generate',
+      messages: [{ role: 'user', content: buildGenerationPrompt(options, course?.syllabus) }],
+      schema: GENERATION_SCHEMA,
+      check: (output) => validateGeneratedAssignment(output, options).errors || [],
+      temperature: 0.7,
+    });
+    const { generated } = validateGeneratedAssignment(value, options);
+
+    if (!req.body.save) {
+      return res.status(200).json({ generated });
+    }
+    const { assignment, rubric } = await saveGeneratedDraft(generated, { course, userId: req.user.id, dueDate: req.body.dueDate || null });
+    res.status(201).json({ generated, assignment, rubric });
+
+  } catch (error) {
+    console.error("Error generating assignment:", error);
+    if (error instanceof QuotaError) return sendQuotaError(res, error);
+    if (error instanceof StructuredOutputError) {
+      return res.status(error.status).json({ message: `${error.message} Please try again.`, errors: error.problems });
     }
+    if (error instanceof LLMProviderError) {
+      return res.status(error.status || 502).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: 'Validation failed', errors: messages });
+    }
+    res.status(500).json({ message: 'Server error generating assignment', error: error.message });
+  }
+});
+
+// Body: { courseId, dueDate, generated } where generated is a (possibly edited) result of POST /generate.
+// Saves it as a draft assignment with its rubric in the requester's library.
+router.post('/generate/save', authMiddleware, requireRole('instructor'), async (req, res) => {
+  try {
+    const { courseId, dueDate, generated } = req.body;
+    if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ message: 'Invalid or missing course ID' });
+    }
+
+    const { generated: checked, errors } = validateGeneratedDraft(generated);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const loaded = await loadGenerationCourse(courseId, req.user);
+    if (!loaded.course) return res.status(loaded.status).json({ message: loaded.message });
+
+    const { assignment, rubric } = await saveGeneratedDraft(checked, { course: loaded.course, userId: req.user.id, dueDate: dueDate || null });
+    res.status(201).json({ assignment, rubric });
+
+  } catch (error) {
+    console.error("Error saving generated assignment:", error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: 'Validation failed', errors: messages });
+    }
+    res.status(500).json({ message: 'Server error saving generated assignment', error: error.message });
+  }
 });
+
 // You would also add routes for PUT (update) and DELETE assignments here
 // router.put('/:id', authMiddleware, async (req, res) => { ... });
 // router.delete('/:id', authMiddleware, async (req, res) => { ... });
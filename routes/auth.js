@@ -1,31 +1,71 @@
 const express = require('express')
 const bcrypt = require('bcryptjs')
-const jwt = require('jsonwebtoken')
 const User = require('../models/User')
+const authMiddleware = require('../middleware/authMiddleware')
+const { requireRole } = require('../middleware/roleMiddleware')
+const { findCourseByCode, redeemCode, applyRosterStudentId } = require('../utils/enrollment')
+const { issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../utils/authTokens')
+const { normalizeEmail, passwordProblems, registrationProblems } = require('../utils/validation')
+const { consumeAccountToken, sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountTokens')
+const { DEFAULT_PLAN } = require('../utils/plans')
 
 const router = express.Router()
 
+// Roles a user may pick at sign-up (student by default). Instructors sign up themselves so a
+// fresh install can create courses; TAs are added per course by its instructor, and 'admin' or
+// the platform TA role can only be granted by an admin (PUT /users/:userId/role).
+// The User.role default ('instructor') only covers accounts created before roles existed.
+const SELF_ASSIGNABLE_ROLES = ['student', 'instructor']
+
+// Emails are stored lowercase (older accounts: scripts/migrateEmailsLowercase.js), so the lookup uses the unique index
+const findByEmail = (email) => User.findOne({ email: normalizeEmail(email) })
+
+const publicUser = (user) => ({ id: user._id, name: user.name, email: user.email, role: user.role, emailVerified: Boolean(user.emailVerified) })
+
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, selectedPlan, billingCycle } = req.body 
+    const { name, email, password, role, studentId, joinCode } = req.body 
 
-    const existingUser = await User.findOne({ email })
+    const problems = registrationProblems({ name, email, password, studentId })
+    if (problems.length) return res.status(400).json({ message: 'Validation failed', errors: problems })
+
+    if (role && !SELF_ASSIGNABLE_ROLES.includes(role))
+      return res.status(400).json({ message: 'Invalid role: sign up as a student or an instructor' })
+    // A course code enrolls the account as a student
+    if (role === 'instructor' && joinCode)
+      return res.status(400).json({ message: 'Course codes are for student accounts' })
+
+    const existingUser = await findByEmail(email)
     if (existingUser) return res.status(400).json({ message: 'User already exists' })
 
+    // A join or invite code enrolls the new account in that course; check it before creating the account
+    if (joinCode && !(await findCourseByCode(joinCode)))
+      return res.status(400).json({ message: 'Invalid or expired course code' })
+
     const hashedPassword = await bcrypt.hash(password, 10)
     const newUser = await User.create({
-      name,
-      email,
+      name: name.trim(),
+      email: normalizeEmail(email),
       password: hashedPassword,
-      plan: selectedPlan,
-      billingCycle
+      // Every account starts on the free plan; a paid plan is only set once billing confirms it
+      plan: DEFAULT_PLAN,
+      role: role || 'student',
+      studentId: studentId || null
     })
 
-    const token = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET, {
-      expiresIn: '7d'
-    })
+    let enrolledCourse = null
+    if (joinCode) {
+      const result = await redeemCode(joinCode, newUser)
+      if (result.error) console.warn(`Could not enroll new user ${newUser._id} with code: ${result.error}`)
+      else enrolledCourse = { _id: result.course._id, title: result.course.title, courseCode: result.course.courseCode }
+    }
+
+    // The account works right away; a failed verification email can be re-sent later
+    await sendVerificationEmail(newUser).catch((mailErr) => console.error('Could not send verification email:', mailErr.message))
+
+    const session = await issueSession(newUser, req)
 
-    res.status(201).json({ token, user: { id: newUser._id, name, email } })
+    res.status(201).json({ ...session, user: publicUser(newUser), enrolledCourse })
   } catch (err) {
     console.error(err)
     res.status(500).json({ message: 'Server error' })
@@ -35,11 +75,11 @@ router.post('/register', async (req, res) => {
 router.post("/login", async (req, res) => {
   const { email, password } = req.body;
 
-  if (!email || !password)
+  if (typeof email !== "string" || typeof password !== "string" || !email || !password)
     return res.status(400).json({ error: "Email and password are required" });
 
   try {
-    const user = await User.findOne({ email });
+    const user = await findByEmail(email);
 
     if (!user)
       return res.status(401).json({ error: "Invalid email or password" });
@@ -48,18 +88,216 @@ router.post("/login", async (req, res) => {
     if (!isMatch)
       return res.status(401).json({ error: "Invalid email or password" });
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const session = await issueSession(user, req);
 
-    res.status(200).json({ token, user: { id:user._id ,name: user.name, email: user.email } });
+    res.status(200).json({ ...session, user: publicUser(user) });
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Body: { refreshToken }. Returns a new access token and a new refresh token; the old one stops working.
+router.post("/refresh", async (req, res) => {
+  try {
+    const { user, session, error } = await rotateRefreshToken(req.body?.refreshToken, req);
+    if (error) return res.status(401).json({ error });
+
+    res.status(200).json({ ...session, user: publicUser(user) });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { refreshToken }. Ends this session; works with an expired access token too.
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body?.refreshToken);
+    res.status(200).json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Ends every session of the user on every device
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.status(200).json({ message: "Logged out of all sessions" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("_id name email role plan billingCycle studentId emailVerified");
+    if (!user)
+      return res.status(404).json({ error: "User not found" });
+
+    res.status(200).json({ user: { ...publicUser(user), plan: user.plan || null, billingCycle: user.billingCycle || null, studentId: user.studentId || null } });
+  } catch (err) {
+    console.error("Fetch current user error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const GENERIC_RESET_MESSAGE = "If an account exists for that email, a password reset link has been sent."
+
+// Body: { email }. Always answers the same way so it cannot be used to discover accounts.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (typeof email !== "string" || !email.trim())
+      return res.status(400).json({ error: "Email is required" });
+
+    const user = await findByEmail(email);
+    // A failed send is logged, not reported, so the answer does not depend on the account existing
+    if (user) await sendPasswordResetEmail(user).catch((mailErr) => console.error("Could not send password reset email:", mailErr.message));
+
+    res.status(200).json({ message: GENERIC_RESET_MESSAGE });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { token, password }. Ends every existing session of the account.
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (typeof token !== "string" || !token)
+      return res.status(400).json({ error: "Reset token is required" });
+
+    // Check the new password before using up the token
+    const problems = passwordProblems(password);
+    if (problems.length) return res.status(400).json({ message: "Validation failed", errors: problems });
+
+    const accountToken = await consumeAccountToken(token, "password_reset");
+    if (!accountToken)
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+
+    const user = await User.findById(accountToken.user);
+    if (!user)
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // The link reached the inbox, which proves the address
+    const newlyVerified = !user.emailVerified && accountToken.email === user.email;
+    if (newlyVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+    if (newlyVerified) await applyRosterStudentId(user);
+
+    res.status(200).json({ message: "Password has been reset. Please sign in with your new password." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { currentPassword, newPassword }. Signs out other sessions and returns a fresh one.
+router.post("/change-password", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== "string" || !currentPassword)
+      return res.status(400).json({ error: "Current password is required" });
+
+    const user = await User.findById(req.user.id);
+    if (!user || !(await bcrypt.compare(currentPassword, user.password)))
+      return res.status(401).json({ error: "Current password is incorrect" });
+
+    const problems = passwordProblems(newPassword, { email: user.email, name: user.name });
+    if (problems.length) return res.status(400).json({ message: "Validation failed", errors: problems });
+    if (await bcrypt.compare(newPassword, user.password))
+      return res.status(400).json({ error: "New password must be different from the current one" });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    const session = await issueSession(await User.findById(user._id).select("_id name email role tokenVersion emailVerified"), req);
+    res.status(200).json({ message: "Password changed", ...session });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { token }
+router.post("/verify-email", async (req, res) => {
+  try {
+    const accountToken = await consumeAccountToken(req.body?.token, "email_verification");
+    if (!accountToken)
+      return res.status(400).json({ error: "Invalid or expired verification token" });
+
+    const user = await User.findById(accountToken.user).select("_id email emailVerified studentId");
+    // The token only proves the address it was sent to
+    if (!user || accountToken.email !== user.email)
+      return res.status(400).json({ error: "Invalid or expired verification token" });
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await applyRosterStudentId(user);
+    }
+
+    res.status(200).json({ message: "Email address verified" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/resend-verification", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("_id name email emailVerified");
+    if (!user)
+      return res.status(404).json({ error: "User not found" });
+    if (user.emailVerified)
+      return res.status(400).json({ error: "Email address is already verified" });
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent)
+      return res.status(429).json({ error: "A verification email was sent recently; please wait a minute before asking again" });
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/users/:userId/role", authMiddleware, requireRole("admin"), async (req, res) => {
+  const { role } = req.body;
+
+  if (!User.schema.path("role").enumValues.includes(role))
+    return res.status(400).json({ error: "Invalid role" });
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select("_id name email role");
+
+    if (!user)
+      return res.status(404).json({ error: "User not found" });
+
+    res.status(200).json({ user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+  } catch (err) {
+    console.error("Role update error:", err);
+    if (err.name === "CastError")
+      return res.status(400).json({ error: "Invalid user ID" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
 module.exports = router
@@ -1,13 +1,30 @@
 // backend/routes/courses.js
 const express = require('express');
 const mongoose = require('mongoose');
+const multer = require('multer');
 const Course = require('../models/Course'); 
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Job = require('../models/Job');
 const User = require('../models/User'); 
 const authMiddleware = require('../middleware/authMiddleware'); 
+const { requireRole, requireCourseRole } = require('../middleware/roleMiddleware');
+const { deleteFile, storageRefFor } = require('../utils/storage');
+const { buildGradebook, validateGradingScheme } = require('../utils/gradebook');
+const { buildGradeRows, renderGradeRows, parseExportQuery, exportFileName } = require('../utils/gradeExport');
+const { generateCode, enrollUser, unenrollUser, importRoster, sectionsByStudent } = require('../utils/enrollment');
+const { parseCsvRecords } = require('../utils/csv');
+const { STUDENT_ASSIGNMENT_FIELDS } = require('../utils/studentView');
 
 const router = express.Router();
 
-router.post('/', authMiddleware, async (req, res) => {
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 * 2 }, // 2MB is thousands of roster rows
+});
+const MAX_ROSTER_ROWS = 2000;
+
+router.post('/', authMiddleware, requireRole('instructor'), async (req, res) => {
   try {
     const {
       title,
@@ -56,13 +73,22 @@ router.post('/', authMiddleware, async (req, res) => {
 router.get('/', authMiddleware, async (req, res) => {
     try {
         const instructorId = req.user.id;
+        const includeArchived = req.query.includeArchived === 'true';
 
-        // Find courses created by the logged-in user
+        // Find courses taught or assisted by the logged-in user
         // Sort by creation date, newest first
         // Optionally exclude syllabus or students for list view brevity
-        const courses = await Course.find({ instructor: instructorId })
+        const filter = { $or: [{ instructor: instructorId }, { teachingAssistants: instructorId }] };
+        if (!includeArchived) { filter.archived = { $ne: true }; }
+
+        const courses = await Course.find(filter)
                                     .sort({ createdAt: -1 })
-                                    .select('-students -syllabus'); // Exclude large fields
+                                    .select('-students -syllabus -roster') // Exclude large fields
+                                    .lean();
+        // Join codes are handed out by the instructor, not by TAs
+        courses.forEach((course) => {
+            if (course.instructor?.toString() !== instructorId.toString()) delete course.joinCode;
+        });
 
         res.status(200).json(courses);
 
@@ -72,27 +98,14 @@ router.get('/', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/:courseId', authMiddleware, async (req, res) => {
+router.get('/:courseId', authMiddleware, requireCourseRole('instructor', 'teaching_assistant'), async (req, res) => {
     try {
-        const { courseId } = req.params;
-        const userId = req.user.id;
-
-        if (!mongoose.Types.ObjectId.isValid(courseId)) {
-            return res.status(400).json({ message: 'Invalid course ID format.' });
-        }
-
-        // Find the course, populate instructor name/email
-        const course = await Course.findById(courseId)
-                                    .populate('instructor', 'name email'); // Populate instructor details
-
-        if (!course) {
-            return res.status(404).json({ message: 'Course not found.' });
-        }
-
-        // Authorization: Ensure the requester is the instructor
-        // Convert both to strings for reliable comparison
-        if (course.instructor._id.toString() !== userId.toString()) {
-             return res.status(403).json({ message: 'You do not have permission to view this course.' });
+        // requireCourseRole has already loaded the course and checked access
+        const course = (await req.course.populate('instructor', 'name email')).toObject(); // Populate instructor details
+        if (req.courseRole === 'teaching_assistant') {
+            // Invite and join codes are handed out by the instructor
+            delete course.joinCode;
+            course.roster = course.roster.map(({ inviteCode, ...entry }) => entry);
         }
 
         res.status(200).json(course); // Send full course data including syllabus
@@ -104,26 +117,9 @@ router.get('/:courseId', authMiddleware, async (req, res) => {
 });
 
 
-router.get('/:courseId/students', authMiddleware, async (req, res) => {
+router.get('/:courseId/students', authMiddleware, requireCourseRole('instructor', 'teaching_assistant'), async (req, res) => {
   try {
-    const { courseId } = req.params;
-    const userId = req.user.id;
-
-    if (!mongoose.Types.ObjectId.isValid(courseId)) {
-      return res.status(400).json({ message: 'Invalid course ID format' });
-    }
-
-    const course = await Course.findById(courseId)
-                               .select('instructor students')
-                               .populate('students', '_id name email');
-
-    if (!course) {
-      return res.status(404).json({ message: 'Course not found' });
-    }
-
-    if (course.instructor.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'You do not have permission to view this roster.' });
-    }
+    const course = await req.course.populate('students', '_id name email');
 
     res.status(200).json(course.students);
 
@@ -133,25 +129,11 @@ router.get('/:courseId/students', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/:courseId', authMiddleware, async (req, res) => {
+router.put('/:courseId', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
     try {
         const { courseId } = req.params;
-        const userId = req.user.id;
         const updates = req.body; // Should contain fields to update, e.g., { title: "...", syllabus: {...} }
 
-        if (!mongoose.Types.ObjectId.isValid(courseId)) {
-            return res.status(400).json({ message: 'Invalid course ID format.' });
-        }
-
-        const course = await Course.findById(courseId);
-        if (!course) {
-            return res.status(404).json({ message: 'Course not found.' });
-        }
-
-        if (course.instructor.toString() !== userId.toString()) {
-             return res.status(403).json({ message: 'You do not have permission to update this course.' });
-        }
-
         const allowedUpdates = ['title', 'courseCode', 'department', 'semester', 'description', 'syllabus', /* 'schedule' */];
         const finalUpdates = {}; // Use index signature
 
@@ -163,6 +145,7 @@ router.put('/:courseId', authMiddleware, async (req, res) => {
 
         delete finalUpdates.instructor;
         delete finalUpdates.students;
+        delete finalUpdates.teachingAssistants;
 
         const updatedCourse = await Course.findByIdAndUpdate(
             courseId,
@@ -191,32 +174,28 @@ router.put('/:courseId', authMiddleware, async (req, res) => {
 });
 
 
-router.delete('/:courseId', authMiddleware, async (req, res) => {
+router.delete('/:courseId', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
     try {
         const { courseId } = req.params;
-        const userId = req.user.id;
-
-        if (!mongoose.Types.ObjectId.isValid(courseId)) {
-            return res.status(400).json({ message: 'Invalid course ID format.' });
-        }
-
-        const course = await Course.findOne({ _id: courseId, instructor: userId });
 
-        if (!course) {
-            // Check if it exists at all
-            const courseExists = await Course.findById(courseId).select('_id');
-            if (!courseExists) {
-                return res.status(404).json({ message: 'Course not found.' });
-            } else {
-                return res.status(403).json({ message: 'You do not have permission to delete this course.' });
-            }
+        // Cascade: remove the course's assignments and every submission made to them
+        const assignmentIds = await Assignment.find({ course: courseId }).distinct('_id');
+        const submissions = await Submission.find({ assignmentId: { $in: assignmentIds } }).select('_id fileUrl storage').lean();
+        await Job.deleteMany({ submission: { $in: submissions.map((s) => s._id) } });
+        // Stored files are removed best-effort; a missing file must not block the course deletion
+        for (const submission of submissions) {
+            const storageRef = storageRefFor(submission);
+            if (storageRef) await deleteFile(storageRef).catch((err) => console.error(`Could not delete stored file ${storageRef.key}:`, err.message));
         }
-
-        // TODO: Consider implications - delete associated assignments/submissions?
-        // For now, just delete the course document.
+        const { deletedCount: deletedSubmissions } = await Submission.deleteMany({ assignmentId: { $in: assignmentIds } });
+        await Assignment.deleteMany({ _id: { $in: assignmentIds } });
         await Course.findByIdAndDelete(courseId);
 
-        res.status(200).json({ message: 'Course deleted successfully.' });
+        res.status(200).json({
+            message: 'Course deleted successfully.',
+            deletedAssignments: assignmentIds.length,
+            deletedSubmissions,
+        });
 
     } catch (error) {
         console.error("Error deleting course:", error);
@@ -225,35 +204,187 @@ router.delete('/:courseId', authMiddleware, async (req, res) => {
 });
 
 
-router.post('/:courseId/enroll', authMiddleware, async (req, res) => {
+router.get('/:courseId/assignments', authMiddleware, requireCourseRole('instructor', 'teaching_assistant', 'student'), async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        // Upcoming due dates first; assignments without a due date go last. Students don't see
+        // drafts, nor staff-only content such as exemplar answers.
+        const isStudent = req.courseRole === 'student';
+        const filter = isStudent ? { course: courseId, status: { $ne: 'draft' } } : { course: courseId };
+        const assignments = await Assignment.find(filter)
+                                            .select(isStudent ? STUDENT_ASSIGNMENT_FIELDS : '')
+                                            .sort({ dueDate: 1, createdAt: -1 })
+                                            .lean();
+        const sorted = [
+            ...assignments.filter((a) => a.dueDate),
+            ...assignments.filter((a) => !a.dueDate),
+        ];
+
+        res.status(200).json(sorted);
+
+    } catch (error) {
+        console.error("Error fetching course assignments:", error);
+        res.status(500).json({ message: 'Server error fetching course assignments', error: error.message });
+    }
+});
+
+// GET /:courseId/gradebook?countMissing=true&section=...
+router.get('/:courseId/gradebook', authMiddleware, requireCourseRole('instructor', 'teaching_assistant'), async (req, res) => {
     try {
         const { courseId } = req.params;
-        const { studentId } = req.body; 
-        const instructorId = req.user.id; 
+        const countMissing = req.query.countMissing === 'true';
+        const { section } = req.query;
+
+        const course = await req.course.populate('students', '_id name email');
+        const sections = sectionsByStudent(course);
+        const students = course.students
+            .map((s) => ({ _id: s._id, name: s.name, email: s.email, section: sections.get(s._id.toString()) || null }))
+            .filter((s) => !section || s.section === section)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        const assignments = await Assignment.find({ course: courseId, status: { $ne: 'draft' } })
+                                            .select('title category totalPoints dueDate')
+                                            .sort({ dueDate: 1, createdAt: 1 })
+                                            .lean();
+        const submissions = await Submission.find({
+                                                assignmentId: { $in: assignments.map((a) => a._id) },
+                                                submittedBy: { $in: students.map((s) => s._id) },
+                                                isGradedAttempt: true,
+                                            })
+                                            .select('assignmentId submittedBy score isLate')
+                                            .lean();
+
+        const gradebook = buildGradebook({ course, assignments, students, submissions, countMissing });
+
+        res.status(200).json({ course: { _id: course._id, title: course.title, courseCode: course.courseCode }, ...gradebook });
 
-        if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(studentId)) {
-            return res.status(400).json({ message: 'Invalid Course or Student ID format.' });
+    } catch (error) {
+        console.error("Error building gradebook:", error);
+        res.status(500).json({ message: 'Server error building gradebook', error: error.message });
+    }
+});
+
+// GET /:courseId/grades/export?format=csv|xlsx&layout=generic|canvas|moodle|classroom&include=subscores,feedback&section=...
+// Course totals (gradebook running totals) are included where the layout has a column for them
+router.get('/:courseId/grades/export', authMiddleware, requireCourseRole('instructor', 'teaching_assistant'), async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { options, error: queryError } = parseExportQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ message: queryError });
         }
 
-        const course = await Course.findById(courseId);
-        if (!course) { return res.status(404).json({ message: 'Course not found.' }); }
+        const { section } = req.query;
+        const course = await req.course.populate('students', '_id name email studentId');
+        const sections = sectionsByStudent(course);
+        const students = course.students
+            .map((s) => ({ _id: s._id, name: s.name, email: s.email, studentId: s.studentId, section: sections.get(s._id.toString()) || null }))
+            .filter((s) => !section || s.section === section)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        const assignments = await Assignment.find({ course: courseId, status: { $ne: 'draft' } })
+                                            .select('title category totalPoints dueDate')
+                                            .sort({ dueDate: 1, createdAt: 1 })
+                                            .lean();
+        const submissions = await Submission.find({
+                                                assignmentId: { $in: assignments.map((a) => a._id) },
+                                                submittedBy: { $in: students.map((s) => s._id) },
+                                                isGradedAttempt: true,
+                                            })
+                                            .select('assignmentId submittedBy score isLate subScores overallFeedback feedback')
+                                            .lean();
+
+        const gradebook = buildGradebook({ course, assignments, students, submissions });
+        const totals = new Map(gradebook.students.map((row) => [row.student._id.toString(), row.total]));
+
+        const rows = buildGradeRows({ ...options, assignments, students, submissions, totals });
+        const file = await renderGradeRows(rows, { format: options.format, sheetName: course.courseCode });
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(`${course.courseCode}-grades`, file.extension)}"`);
+        res.send(file.buffer);
+
+    } catch (error) {
+        console.error("Error exporting course grades:", error);
+        res.status(500).json({ message: 'Server error exporting grades.', error: error.message });
+    }
+});
+
+// Body: { categories: [{ name, weight, dropLowest }], letterScale: [{ letter, minPercent }] | null }
+router.put('/:courseId/grading-scheme', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { categories = [], letterScale = null } = req.body;
 
-        // Authorization: Only instructor can enroll
-        if (course.instructor.toString() !== instructorId.toString()) {
-            return res.status(403).json({ message: 'Only the instructor can enroll students.' });
+        const errors = validateGradingScheme({ categories, letterScale });
+        if (errors.length) {
+            return res.status(400).json({ message: 'Validation failed', errors });
         }
 
-        // Check if student exists
-        const student = await User.findById(studentId);
-        if (!student) { return res.status(404).json({ message: 'Student not found.' }); }
+        req.course.gradingScheme = {
+            categories: categories.map(({ name, weight, dropLowest }) => ({ name: name.trim(), weight, dropLowest: dropLowest || 0 })),
+            letterScale: letterScale ? letterScale.map(({ letter, minPercent }) => ({ letter: letter.trim(), minPercent })) : undefined,
+        };
+        await req.course.save();
+
+        // Assignments whose category no longer exists stop counting until they are re-categorized
+        const names = req.course.gradingScheme.categories.map((c) => c.name.toLowerCase());
+        const assignments = await Assignment.find({ course: req.course._id }).select('title category').lean();
+        const uncategorized = names.length ? assignments.filter((a) => !names.includes((a.category || '').toLowerCase())) : [];
+
+        res.status(200).json({
+            gradingScheme: req.course.gradingScheme,
+            uncategorizedAssignments: uncategorized.map((a) => ({ _id: a._id, title: a.title, category: a.category })),
+        });
+
+    } catch (error) {
+        console.error("Error updating grading scheme:", error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((val) => val.message);
+            return res.status(400).json({ message: 'Validation failed', errors: messages });
+        }
+        res.status(500).json({ message: 'Server error updating grading scheme.', error: error.message });
+    }
+});
+
+router.put('/:courseId/archive', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const archived = req.body.archived !== false; // Default to archiving; send { archived: false } to restore
 
-        // Add student to the course's students array if not already present
-        // Use $addToSet to prevent duplicates
         const updatedCourse = await Course.findByIdAndUpdate(
             courseId,
-            { $addToSet: { students: studentId } },
+            { $set: { archived } },
             { new: true }
-        );
+        ).select('-students -syllabus');
+
+        res.status(200).json({ message: archived ? 'Course archived successfully.' : 'Course restored successfully.', course: updatedCourse });
+
+    } catch (error) {
+        console.error("Error archiving course:", error);
+        res.status(500).json({ message: 'Server error archiving course.', error: error.message });
+    }
+});
+
+
+// Body: { studentId, section? } - studentId is the user's database id
+router.post('/:courseId/enroll', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { studentId, section } = req.body; 
+
+        if (!mongoose.Types.ObjectId.isValid(studentId)) {
+            return res.status(400).json({ message: 'Invalid Student ID format.' });
+        }
+
+        // Check if student exists
+        const student = await User.findById(studentId).select('_id name email studentId');
+        if (!student) { return res.status(404).json({ message: 'Student not found.' }); }
+
+        const staffIds = [req.course.instructor, ...req.course.teachingAssistants].map((id) => id.toString());
+        if (staffIds.includes(student._id.toString())) {
+            return res.status(400).json({ message: 'Course staff cannot be enrolled as students.' });
+        }
+
+        enrollUser(req.course, student, { section });
+        const updatedCourse = await req.course.save();
 
         res.status(200).json({ message: `Student enrolled successfully.`, course: updatedCourse }); // Send back updated course maybe?
 
@@ -263,5 +394,262 @@ router.post('/:courseId/enroll', authMiddleware, async (req, res) => {
     }
 });
 
+router.delete('/:courseId/students/:userId', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid User ID format.' });
+        }
+
+        // Submissions stay in place so grades are not lost if the student is re-enrolled
+        if (!unenrollUser(req.course, userId)) {
+            return res.status(404).json({ message: 'Student is not enrolled in this course.' });
+        }
+        await req.course.save();
+
+        res.status(200).json({ message: 'Student unenrolled successfully.' });
+
+    } catch (error) {
+        console.error("Error unenrolling student:", error);
+        res.status(500).json({ message: 'Server error unenrolling student.', error: error.message });
+    }
+});
+
+// Body: { section } - null or '' removes the student from their section
+router.put('/:courseId/students/:userId/section', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { section } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid User ID format.' });
+        }
+        if (section !== null && section !== undefined && typeof section !== 'string') {
+            return res.status(400).json({ message: 'Section must be a string or null.' });
+        }
+        if (!req.course.students.some((id) => id.toString() === userId)) {
+            return res.status(404).json({ message: 'Student is not enrolled in this course.' });
+        }
+
+        const student = await User.findById(userId).select('_id name email studentId');
+        if (!student) { return res.status(404).json({ message: 'Student not found.' }); }
+
+        const entry = enrollUser(req.course, student, { section: section ? section.trim() : null });
+        await req.course.save();
+
+        res.status(200).json({ message: 'Section updated successfully.', entry });
+
+    } catch (error) {
+        console.error("Error updating student section:", error);
+        res.status(500).json({ message: 'Server error updating section.', error: error.message });
+    }
+});
+
+// GET /:courseId/roster?section=...&status=pending|active
+router.get('/:courseId/roster', authMiddleware, requireCourseRole('instructor', 'teaching_assistant'), async (req, res) => {
+    try {
+        const { section, status } = req.query;
+        const course = await req.course.populate('students', '_id name email studentId');
+
+        // Students enrolled before rosters existed have no entry yet
+        const rostered = new Set(course.roster.filter((e) => e.user).map((e) => e.user.toString()));
+        const entries = [
+            ...course.roster.map((e) => e.toObject()),
+            ...course.students
+                .filter((s) => !rostered.has(s._id.toString()))
+                .map((s) => ({ name: s.name, email: s.email, studentId: s.studentId || null, section: null, user: s._id, status: 'active' })),
+        ];
+        const isInstructor = ['instructor', 'admin'].includes(req.courseRole);
+
+        const filtered = entries
+            .filter((e) => !section || e.section === section)
+            .filter((e) => !status || e.status === status)
+            .map((e) => (isInstructor ? e : { ...e, inviteCode: undefined })) // Codes are handed out by the instructor
+            .sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || ''));
+
+        res.status(200).json({
+            sections: [...new Set(entries.map((e) => e.section).filter(Boolean))].sort(),
+            joinCode: isInstructor ? course.joinCode || null : undefined,
+            counts: {
+                active: entries.filter((e) => e.status === 'active').length,
+                pending: entries.filter((e) => e.status === 'pending').length,
+            },
+            entries: filtered,
+        });
+
+    } catch (error) {
+        console.error("Error fetching roster:", error);
+        res.status(500).json({ message: 'Server error fetching roster', error: error.message });
+    }
+});
+
+// Multipart field "roster": CSV with name, email, student number and (optional) section columns.
+// Registered students are enrolled; everyone else gets an invite code to redeem at registration.
+router.post('/:courseId/roster/import', authMiddleware, requireCourseRole('instructor'), rosterUpload.single('roster'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Upload the roster as a CSV file in the "roster" field.' });
+        }
+        if (req.course.archived) {
+            return res.status(400).json({ message: 'Cannot import a roster into an archived course.' });
+        }
+
+        const records = parseCsvRecords(req.file.buffer.toString('utf-8'));
+        if (!records.length) {
+            return res.status(400).json({ message: 'The roster file has no rows.' });
+        }
+        if (records.length > MAX_ROSTER_ROWS) {
+            return res.status(400).json({ message: `Rosters are limited to ${MAX_ROSTER_ROWS} rows per import.` });
+        }
+        if (!records.some((r) => r.email || r.studentemail || r.emailaddress)) {
+            return res.status(400).json({ message: 'The roster needs an email column.' });
+        }
+
+        const report = await importRoster(req.course, records);
+        await req.course.save();
+
+        const count = (status) => report.filter((item) => item.status === status).length;
+        res.status(200).json({
+            summary: { total: report.length, enrolled: count('enrolled'), invited: count('invited'), updated: count('updated'), skipped: count('skipped') },
+            results: report,
+        });
+
+    } catch (error) {
+        console.error("Error importing roster:", error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((val) => val.message);
+            return res.status(400).json({ message: 'Validation failed', errors: messages });
+        }
+        res.status(500).json({ message: 'Server error importing roster.', error: error.message });
+    }
+});
+
+// Withdraw a pending invitation (or, for an enrolled student, unenroll them)
+router.delete('/:courseId/roster/:entryId', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const entry = req.course.roster.id(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ message: 'Roster entry not found.' });
+        }
+
+        if (entry.user) unenrollUser(req.course, entry.user);
+        else req.course.roster.pull(entry._id);
+        await req.course.save();
+
+        res.status(200).json({ message: entry.user ? 'Student unenrolled successfully.' : 'Invitation withdrawn.' });
+
+    } catch (error) {
+        console.error("Error removing roster entry:", error);
+        res.status(500).json({ message: 'Server error removing roster entry.', error: error.message });
+    }
+});
+
+// Issue a new invite code for a pending entry (the old one stops working)
+router.post('/:courseId/roster/:entryId/invite-code', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const entry = req.course.roster.id(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ message: 'Roster entry not found.' });
+        }
+        if (entry.status !== 'pending') {
+            return res.status(400).json({ message: 'This student has already joined the course.' });
+        }
+
+        entry.inviteCode = generateCode();
+        entry.invitedAt = new Date();
+        await req.course.save();
+
+        res.status(200).json({ inviteCode: entry.inviteCode, entry });
+
+    } catch (error) {
+        console.error("Error regenerating invite code:", error);
+        res.status(500).json({ message: 'Server error regenerating invite code.', error: error.message });
+    }
+});
+
+// Create or replace the course join code
+router.put('/:courseId/join-code', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        if (req.course.archived) {
+            return res.status(400).json({ message: 'Archived courses cannot be joined.' });
+        }
+
+        req.course.joinCode = generateCode();
+        await req.course.save();
+
+        res.status(200).json({ joinCode: req.course.joinCode });
+
+    } catch (error) {
+        console.error("Error creating join code:", error);
+        res.status(500).json({ message: 'Server error creating join code.', error: error.message });
+    }
+});
+
+router.delete('/:courseId/join-code', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        req.course.joinCode = undefined;
+        await req.course.save();
+
+        res.status(200).json({ message: 'Join code disabled.' });
+
+    } catch (error) {
+        console.error("Error disabling join code:", error);
+        res.status(500).json({ message: 'Server error disabling join code.', error: error.message });
+    }
+});
+
+router.post('/:courseId/teaching-assistants', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { userId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid User ID format.' });
+        }
+
+        const assistant = await User.findById(userId).select('_id');
+        if (!assistant) { return res.status(404).json({ message: 'User not found.' }); }
+
+        if (req.course.instructor.toString() === userId.toString()) {
+            return res.status(400).json({ message: 'The course instructor cannot also be a teaching assistant.' });
+        }
+
+        const updatedCourse = await Course.findByIdAndUpdate(
+            courseId,
+            { $addToSet: { teachingAssistants: userId } },
+            { new: true }
+        ).populate('teachingAssistants', '_id name email');
+
+        res.status(200).json({ message: 'Teaching assistant added successfully.', teachingAssistants: updatedCourse.teachingAssistants });
+
+    } catch (error) {
+        console.error("Error adding teaching assistant:", error);
+        res.status(500).json({ message: 'Server error adding teaching assistant.', error: error.message });
+    }
+});
+
+router.delete('/:courseId/teaching-assistants/:userId', authMiddleware, requireCourseRole('instructor'), async (req, res) => {
+    try {
+        const { courseId, userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid User ID format.' });
+        }
+
+        const updatedCourse = await Course.findByIdAndUpdate(
+            courseId,
+            { $pull: { teachingAssistants: userId } },
+            { new: true }
+        ).populate('teachingAssistants', '_id name email');
+
+        res.status(200).json({ message: 'Teaching assistant removed successfully.', teachingAssistants: updatedCourse.teachingAssistants });
+
+    } catch (error) {
+        console.error("Error removing teaching assistant:", error);
+        res.status(500).json({ message: 'Server error removing teaching assistant.', error: error.message });
+    }
+});
+
 
 module.exports = router;
@@ -0,0 +1,29 @@
+// backend/routes/files.js
+// Serves files from the local storage driver. Links come from createDownloadUrl()
+// (utils/storage.js): the token is signed and expires, so no auth header is needed.
+const express = require('express');
+const fs = require('fs');
+const { verifyDownloadToken } = require('../utils/storage');
+
+const router = express.Router();
+
+router.get('/:token', async (req, res) => {
+    try {
+        const download = verifyDownloadToken(req.params.token);
+        if (!download) {
+            return res.status(403).json({ message: 'This download link is invalid or has expired.' });
+        }
+        if (!fs.existsSync(download.path)) {
+            return res.status(404).json({ message: 'File not found' });
+        }
+
+        if (download.type) res.type(download.type);
+        res.download(download.path, download.name || undefined);
+
+    } catch (error) {
+        console.error("Error serving file download:", error);
+        res.status(500).json({ message: 'Server error downloading file', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+// backend/routes/rubrics.js
+// Rubric library: each instructor's reusable rubrics (models/Rubric.js). A rubric is attached to
+// assignments through Assignment.rubric (POST /api/assignment, PUT /api/assignment/:id/edit),
+// and submission sub-scores are checked against it on save.
+const express = require('express');
+const mongoose = require('mongoose');
+const Rubric = require('../models/Rubric');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+const { validateRubric, sanitizeCriteria, rubricTotalPoints, reconcileSubScores } = require('../utils/rubric');
+
+const router = express.Router();
+
+const withTotal = (rubric) => ({ ...rubric, totalPoints: rubricTotalPoints(rubric) });
+
+// Load req.params.rubricId and make sure the requester owns it (admins may manage any)
+async function loadOwnRubric(req, res) {
+    const { rubricId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(rubricId)) {
+        res.status(400).json({ message: 'Invalid rubric ID format.' });
+        return null;
+    }
+    const rubric = await Rubric.findById(rubricId);
+    if (!rubric) {
+        res.status(404).json({ message: 'Rubric not found.' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && rubric.owner.toString() !== req.user.id.toString()) {
+        res.status(403).json({ message: 'You do not have permission to access this rubric.' });
+        return null;
+    }
+    return rubric;
+}
+
+const sendValidationError = (res, error) => {
+    const messages = Object.values(error.errors).map((val) => val.message);
+    return res.status(400).json({ message: 'Validation failed', errors: messages });
+};
+
+// ?search=<text in the title>
+router.get('/', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const filter = { owner: req.user.id };
+        if (typeof req.query.search === 'string' && req.query.search.trim()) {
+            filter.title = { $regex: req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+        const rubrics = await Rubric.find(filter).sort({ updatedAt: -1 }).lean();
+
+        const usage = await Assignment.aggregate([
+            { $match: { rubric: { $in: rubrics.map(r => r._id) } } },
+            { $group: { _id: '$rubric', assignments: { $sum: 1 } } },
+        ]);
+        const usageByRubric = new Map(usage.map(row => [row._id.toString(), row.assignments]));
+
+        res.status(200).json(rubrics.map(rubric => ({ ...withTotal(rubric), assignmentCount: usageByRubric.get(rubric._id.toString()) || 0 })));
+    } catch (error) {
+        console.error("Error fetching rubrics:", error);
+        res.status(500).json({ message: 'Server error fetching rubrics', error: error.message });
+    }
+});
+
+// Body: { title, description, criteria: [{ name, description, minPoints, maxPoints, levels: [{ label, minPoints, maxPoints, descriptor }] }] }
+router.post('/', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const { title, description, criteria } = req.body;
+
+        const errors = validateRubric({ title, criteria });
+        if (errors.length) {
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+
+        const rubric = await Rubric.create({
+            title: title.trim(),
+            description: typeof description === 'string' ? description.trim() : '',
+            owner: req.user.id,
+            criteria: sanitizeCriteria(criteria),
+        });
+
+        res.status(201).json(withTotal(rubric.toObject()));
+    } catch (error) {
+        console.error("Error creating rubric:", error);
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+        res.status(500).json({ message: 'Server error creating rubric', error: error.message });
+    }
+});
+
+router.get('/:rubricId', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const rubric = await loadOwnRubric(req, res);
+        if (!rubric) return;
+
+        const assignments = await Assignment.find({ rubric: rubric._id })
+                                            .select('title course dueDate')
+                                            .populate('course', 'title courseCode')
+                                            .sort({ createdAt: -1 })
+                                            .lean();
+
+        res.status(200).json({ ...withTotal(rubric.toObject()), assignments });
+    } catch (error) {
+        console.error("Error fetching rubric:", error);
+        res.status(500).json({ message: 'Server error fetching rubric', error: error.message });
+    }
+});
+
+// Body: any of { title, description, criteria } (criteria replaces the whole list).
+// Changes apply to every assignment using the rubric; the response counts scored submissions
+// whose sub-scores no longer match it (their sub-scores are checked again when next edited).
+router.put('/:rubricId', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const rubric = await loadOwnRubric(req, res);
+        if (!rubric) return;
+
+        const { title = rubric.title, description, criteria } = req.body;
+        const errors = validateRubric({ title, criteria: criteria === undefined ? rubric.criteria.map(c => c.toObject()) : criteria });
+        if (errors.length) {
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+
+        rubric.title = title.trim();
+        if (typeof description === 'string') rubric.description = description.trim();
+        if (criteria !== undefined) rubric.criteria = sanitizeCriteria(criteria);
+        await rubric.save();
+
+        let mismatchedSubmissions = 0;
+        if (criteria !== undefined) {
+            const assignmentIds = await Assignment.find({ rubric: rubric._id }).distinct('_id');
+            const scored = await Submission.find({ assignmentId: { $in: assignmentIds }, 'subScores.0': { $exists: true } })
+                                           .select('subScores')
+                                           .lean();
+            const current = rubric.toObject();
+            mismatchedSubmissions = scored.filter(submission => reconcileSubScores(submission.subScores, current).length > 0).length;
+        }
+
+        res.status(200).json({ rubric: withTotal(rubric.toObject()), mismatchedSubmissions });
+    } catch (error) {
+        console.error("Error updating rubric:", error);
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+        res.status(500).json({ message: 'Server error updating rubric', error: error.message });
+    }
+});
+
+// Copy into the requester's library, e.g. to change a rubric without affecting assignments using it
+router.post('/:rubricId/duplicate', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const rubric = await loadOwnRubric(req, res);
+        if (!rubric) return;
+
+        const { title } = req.body || {};
+        const copy = await Rubric.create({
+            title: typeof title === 'string' && title.trim() ? title.trim() : `${rubric.title} (copy)`,
+            description: rubric.description,
+            owner: req.user.id,
+            criteria: sanitizeCriteria(rubric.criteria.map(c => c.toObject())),
+        });
+
+        res.status(201).json(withTotal(copy.toObject()));
+    } catch (error) {
+        console.error("Error duplicating rubric:", error);
+        res.status(500).json({ message: 'Server error duplicating rubric', error: error.message });
+    }
+});
+
+// Rubrics still attached to assignments cannot be deleted; detach them first
+router.delete('/:rubricId', authMiddleware, requireRole('instructor'), async (req, res) => {
+    try {
+        const rubric = await loadOwnRubric(req, res);
+        if (!rubric) return;
+
+        const attached = await Assignment.find({ rubric: rubric._id }).select('title').lean();
+        if (attached.length) {
+            return res.status(409).json({
+                message: `This rubric is used by ${attached.length} assignment(s). Detach it from them before deleting it.`,
+                assignments: attached,
+            });
+        }
+
+        await Rubric.deleteOne({ _id: rubric._id });
+        res.status(200).json({ message: 'Rubric deleted successfully.' });
+    } catch (error) {
+        console.error("Error deleting rubric:", error);
+        res.status(500).json({ message: 'Server error deleting rubric', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+// backend/routes/student.js
+// Student-facing endpoints. Access is based on enrollment (Course.students),
+// not on the platform-wide role, so anyone enrolled in a course can use them.
+// Submitting and resubmitting go through POST /api/submissions, which checks enrollment.
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/authMiddleware');
+const { toStudentSubmission, STUDENT_ASSIGNMENT_FIELDS } = require('../utils/studentView');
+const { evaluateLateness } = require('../utils/latePolicy');
+const { buildGradebook } = require('../utils/gradebook');
+const { redeemCode } = require('../utils/enrollment');
+
+const router = express.Router();
+
+// Assignments are open while the course is active and the late policy would still accept work
+const isOpen = (assignment, now = new Date()) => evaluateLateness(assignment, now).accepted;
+
+router.get('/courses', authMiddleware, async (req, res) => {
+    try {
+        const courses = await Course.find({ students: req.user.id, archived: { $ne: true } })
+                                    .populate('instructor', 'name email')
+                                    .select('-students -teachingAssistants -roster -joinCode')
+                                    .sort({ createdAt: -1 });
+
+        res.status(200).json(courses);
+
+    } catch (error) {
+        console.error("Error fetching student courses:", error);
+        res.status(500).json({ message: 'Server error fetching your courses', error: error.message });
+    }
+});
+
+// Body: { code } - a course join code or a personal invite code from the instructor
+router.post('/join', authMiddleware, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ message: 'A course code is required.' });
+        }
+
+        const user = await User.findById(req.user.id).select('_id name email studentId emailVerified');
+        const result = await redeemCode(code, user);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const { course, alreadyEnrolled } = result;
+        res.status(alreadyEnrolled ? 200 : 201).json({
+            message: alreadyEnrolled ? 'You are already enrolled in this course.' : 'Joined course successfully.',
+            course: { _id: course._id, title: course.title, courseCode: course.courseCode },
+        });
+
+    } catch (error) {
+        console.error("Error joining course:", error);
+        res.status(500).json({ message: 'Server error joining course', error: error.message });
+    }
+});
+
+// GET /assignments?courseId=...&status=open|all
+router.get('/assignments', authMiddleware, async (req, res) => {
+    try {
+        const { courseId, status = 'open' } = req.query;
+
+        const courseFilter = { students: req.user.id, archived: { $ne: true } };
+        if (courseId) {
+            if (!mongoose.Types.ObjectId.isValid(courseId)) {
+                return res.status(400).json({ message: 'Invalid course ID format.' });
+            }
+            courseFilter._id = courseId;
+        }
+        const courses = await Course.find(courseFilter).select('_id title courseCode').lean();
+        const courseMap = new Map(courses.map((c) => [c._id.toString(), c]));
+
+        const assignments = await Assignment.find({ course: { $in: [...courseMap.keys()] }, status: { $ne: 'draft' } })
+                                            .select(STUDENT_ASSIGNMENT_FIELDS)
+                                            .sort({ dueDate: 1 })
+                                            .lean();
+
+        // Attach the student's own latest submission status to each assignment
+        const mySubmissions = await Submission.find({ submittedBy: req.user.id, assignmentId: { $in: assignments.map((a) => a._id) } })
+                                              .select('assignmentId submissionDate status feedbackReleased')
+                                              .sort({ submissionDate: -1 })
+                                              .lean();
+        const latestByAssignment = new Map();
+        mySubmissions.forEach((sub) => {
+            const key = sub.assignmentId.toString();
+            if (!latestByAssignment.has(key)) latestByAssignment.set(key, sub);
+        });
+
+        const now = new Date();
+        const result = assignments
+            .filter((a) => status === 'all' || isOpen(a, now))
+            .map((a) => {
+                const latest = latestByAssignment.get(a._id.toString());
+                return {
+                    ...a,
+                    course: courseMap.get(a.course.toString()),
+                    isOpen: isOpen(a, now),
+                    mySubmission: latest ? toStudentSubmission(latest) : null,
+                };
+            });
+
+        res.status(200).json(result);
+
+    } catch (error) {
+        console.error("Error fetching student assignments:", error);
+        res.status(500).json({ message: 'Server error fetching your assignments', error: error.message });
+    }
+});
+
+router.get('/assignments/:assignmentId', authMiddleware, async (req, res) => {
+    try {
+        const { assignmentId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+            return res.status(400).json({ message: 'Invalid assignment ID format.' });
+        }
+
+        const assignment = await Assignment.findById(assignmentId)
+                                           .select('-createdBy -lmsIntegration')
+                                           .populate('course', 'title courseCode students archived')
+                                           .lean();
+        if (!assignment || assignment.status === 'draft') {
+            return res.status(404).json({ message: 'Assignment not found.' });
+        }
+
+        const enrolled = (assignment.course?.students || []).some((id) => id.toString() === req.user.id.toString());
+        if (!enrolled || assignment.course.archived) {
+            return res.status(403).json({ message: 'You are not enrolled in this course.' });
+        }
+
+        const mySubmissions = await Submission.find({ assignmentId, submittedBy: req.user.id })
+                                              .select('-content')
+                                              .sort({ submissionDate: -1 })
+                                              .lean();
+
+        const { students, ...course } = assignment.course;
+        const { exemplars, ...content } = assignment.content || {}; // Exemplar answers are for staff only
+        res.status(200).json({
+            ...assignment,
+            content,
+            course,
+            isOpen: isOpen(assignment),
+            mySubmissions: mySubmissions.map(toStudentSubmission),
+        });
+
+    } catch (error) {
+        console.error("Error fetching student assignment:", error);
+        res.status(500).json({ message: 'Server error fetching assignment', error: error.message });
+    }
+});
+
+// The student's own gradebook row; only scores whose feedback has been released count
+router.get('/courses/:courseId/grades', authMiddleware, async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+            return res.status(400).json({ message: 'Invalid course ID format.' });
+        }
+
+        const course = await Course.findOne({ _id: courseId, students: req.user.id })
+                                   .select('title courseCode gradingScheme')
+                                   .lean();
+        if (!course) {
+            return res.status(403).json({ message: 'You are not enrolled in this course.' });
+        }
+
+        const assignments = await Assignment.find({ course: courseId, status: { $ne: 'draft' } })
+                                            .select('title category totalPoints dueDate')
+                                            .sort({ dueDate: 1, createdAt: 1 })
+                                            .lean();
+        const submissions = await Submission.find({ assignmentId: { $in: assignments.map((a) => a._id) }, submittedBy: req.user.id, isGradedAttempt: true })
+                                            .select('assignmentId submittedBy score isLate feedbackReleased')
+                                            .lean();
+        // Unreleased grades are reported as submitted, not graded
+        const visible = submissions.map((sub) => (sub.feedbackReleased ? sub : { ...sub, score: null }));
+
+        const { gradingScheme, assignments: columns, students } = buildGradebook({
+            course,
+            assignments,
+            students: [{ _id: req.user.id }],
+            submissions: visible,
+        });
+        const { grades, categories, total } = students[0];
+
+        res.status(200).json({
+            course: { _id: course._id, title: course.title, courseCode: course.courseCode },
+            gradingScheme,
+            assignments: columns.map(({ averagePercent, ...column }) => ({ ...column, grade: grades[column._id.toString()] })),
+            categories,
+            total,
+        });
+
+    } catch (error) {
+        console.error("Error fetching student grades:", error);
+        res.status(500).json({ message: 'Server error fetching your grades', error: error.message });
+    }
+});
+
+router.get('/submissions', authMiddleware, async (req, res) => {
+    try {
+        const submissions = await Submission.find({ submittedBy: req.user.id })
+                                            .select('-content')
+                                            .populate({ path: 'assignmentId', select: 'title course dueDate totalPoints' })
+                                            .sort({ submissionDate: -1 })
+                                            .lean();
+
+        res.status(200).json(submissions.map(toStudentSubmission));
+
+    } catch (error) {
+        console.error("Error fetching student submissions:", error);
+        res.status(500).json({ message: 'Server error fetching your submissions', error: error.message });
+    }
+});
+
+router.get('/submissions/:submissionId', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+            return res.status(400).json({ message: 'Invalid submission ID' });
+        }
+
+        const submission = await Submission.findOne({ _id: submissionId, submittedBy: req.user.id })
+                                           .populate({ path: 'assignmentId', select: 'title course dueDate totalPoints' })
+                                           .lean();
+        if (!submission) {
+            return res.status(404).json({ message: 'Submission not found' });
+        }
+
+        res.status(200).json(toStudentSubmission(submission));
+
+    } catch (error) {
+        console.error("Error fetching student submission:", error);
+        res.status(500).json({ message: 'Server error fetching submission', error: error.message });
+    }
+});
+
+module.exports = router;
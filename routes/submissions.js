@@ -3,17 +3,28 @@ const express = require('express');
 const mongoose = require('mongoose');
 const fs = require('fs'); 
 const path = require('path');
-const pdf = require('pdf-parse');
-const mammoth = require("mammoth");
-const OpenAI = require("openai");
-const axios = require('axios'); 
 const multer = require('multer'); 
-const cloudinary = require('cloudinary').v2; 
 const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
+const Job = require('../models/Job');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/authMiddleware');
+const Course = require('../models/Course');
+const { isAssignmentStaff, isAssignmentOwner } = require('../middleware/roleMiddleware');
+const { toStudentSubmission } = require('../utils/studentView');
+const { evaluateLateness, applyLatePenalty } = require('../utils/latePolicy');
+const { attemptGroupFilter, nextAttemptNumber, refreshGradedAttempt } = require('../utils/attempts');
+const { diffText } = require('../utils/textDiff');
+const { parseCsvRecords } = require('../utils/csv');
+const { matchFileToStudent } = require('../utils/submissionMatching');
+const { isSupportedFile, SUPPORTED_EXTENSIONS } = require('../utils/textExtraction');
+const { getSubmissionText, reextractSubmissionText } = require('../utils/submissionText');
+const { storeFile, deleteFile, createDownloadUrl, storageRefFor, hasStoredFile } = require('../utils/storage');
+const { enqueueSubmissionProcessing, enqueueSubmissionChecks, requeueStep, describeJob, PROCESSING_STEPS } = require('../utils/submissionProcessing');
+const { assertUploadAllowed, QuotaError, sendQuotaError } = require('../utils/usage');
+const { inlineCommentProvenanceProblems } = require('../utils/analysisRuns');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -27,253 +38,163 @@ const upload = multer({
 });
 const uploadSingle = upload.single('submissionFile'); 
 
-// --- Initialize OpenAI Client ---
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY || "" });
-
-
-async function extractTextFromFile(fileBuffer, fileName) {
-    let fileContent = '';
-    const fileExt = fileName?.split('.').pop()?.toLowerCase() || '';
-    console.log(`Extracting text from: ${fileName} (ext: ${fileExt})`);
+// Bulk uploads: one ZIP archive plus an optional roster CSV
+const bulkUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024 }
+}).fields([{ name: 'archive', maxCount: 1 }, { name: 'roster', maxCount: 1 }]);
+const MAX_BULK_FILES = 500;
+const MAX_BULK_FILE_SIZE = 15 * 1024 * 1024; // Same as single uploads
+const ATTEMPT_NUMBER_RETRIES = 3;
+
+const isAttemptNumberClash = (error) => error.code === 11000 && Object.keys(error.keyPattern || {}).includes('attemptNumber');
+
+
+// --- Submission intake (single and bulk uploads) ---
+// Stores the file, saves the Submission as 'processing' and queues the background checks.
+// If anything fails after the upload, the stored file and the submission are removed again.
+// The attempt number is taken when saving; a concurrent upload that took it first means a retry.
+async function createSubmission({ assignment, submittedBy, studentName, submissionDate, lateness, file }) {
+    await assertUploadAllowed(assignment, file.buffer.length); // Plan limits of the assignment owner
+    console.log(`Storing ${file.originalname}...`);
+    const storageRef = await storeFile({
+        buffer: file.buffer,
+        fileName: file.originalname,
+        folder: `submissions/${assignment._id}`,
+        contentType: file.mimetype,
+    });
+    console.log(`Stored ${file.originalname} (${storageRef.driver}: ${storageRef.key})`);
+
+    const attemptGroup = attemptGroupFilter({ assignmentId: assignment._id, submittedBy, studentName });
+    const newSubmission = (attemptNumber) => new Submission({
+        assignmentId: assignment._id, submittedBy, studentName,
+        attemptNumber,
+        submissionDate, status: lateness.isLate ? 'late' : 'pending',
+        isLate: lateness.isLate, daysLate: lateness.daysLate, latePenaltyPercent: lateness.penaltyPercent,
+        processingStatus: 'processing',
+        content: '', // Filled in by the background extract step (canonical text)
+        fileUrl: null, // Files are private; use GET /:submissionId/download for a time-limited link
+        fileName: file.originalname,
+        storage: storageRef,
+        score: null, subScores: undefined, overallFeedback: undefined,
+        inlineComments: undefined,
+        aiCheckerResults: null,
+        plagiarismResults: null,
+        feedback: null,
+    });
+
+    let savedSubmission = null;
     try {
-        if (!fileBuffer) throw new Error(`No file data provided for ${fileName}`);
-
-        if (fileExt === 'pdf') {
-            const data = await pdf(fileBuffer); // pdf-parse works with buffers
-            fileContent = data.text;
-        } else if (fileExt === 'docx') {
-            // mammoth needs a buffer property for memory storage
-            const result = await mammoth.extractRawText({ buffer: fileBuffer });
-            fileContent = result.value;
-        } else if (['txt', 'md', 'csv', ''].includes(fileExt)) {
-            fileContent = fileBuffer.toString('utf-8'); // Convert buffer to string
-        } else if (['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp'].includes(fileExt)) {
-             throw new Error(`Cannot analyze content from image file (${fileName}).`);
-        } else {
-            console.warn(`Attempting plain text read for unknown file type: ${fileName}`);
-            try { fileContent = fileBuffer.toString('utf-8'); }
-            catch (readError) { throw new Error(`Unsupported file type for content analysis: ${fileName}`); }
-        }
-        console.log(`Extracted text length: ${fileContent.length} characters`);
-    } catch (error) { console.error(`Error during text extraction for ${fileName}:`, error); throw error; }
-    return fileContent;
-}
-
-async function performAICheck(submissionContent) {
-    console.log("Performing AI content check...");
-    if (!submissionContent || submissionContent.trim().length < 50) { // Need sufficient text
-        console.warn("Content too short for meaningful AI check.");
-        return null; // Return null if content is too short
-    }
-    // Simple prompt for overall likelihood - can be made more complex for section analysis
-    const prompt = `
-        Analyze the following text and estimate the likelihood that it was primarily written by an AI versus a human. Provide an overall estimated percentage score for human authorship (0-100) and a brief confidence level (High, Medium, Low).
-
-        Format the response *only* as JSON, like this example:
-        {
-          "score": 85,
-          "confidence": "Medium"
-        }
-
-        Text to analyze:
-        """
-        ${submissionContent.substring(0, 4000)}
-        """
-    `; // Limit input length if necessary
-
-    try {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo", // Or another suitable model
-            messages: [{ role: "user", content: prompt }],
-            temperature: 0.3,
-            response_format: { type: "json_object" }, // Request JSON output
-            max_tokens: 100
-        });
-
-        const resultJson = completion.choices[0]?.message?.content;
-        if (!resultJson) {
-            console.warn("AI Check: No content in response.");
-            return null;
-        }
-
-        const parsedResult = JSON.parse(resultJson);
-        console.log("AI Check Result:", parsedResult);
-
-        // Basic validation of the parsed result
-        if (typeof parsedResult.score === 'number' && typeof parsedResult.confidence === 'string') {
-             return {
-                 score: parsedResult.score,
-                 confidence: parsedResult.confidence,
-                 details: [] // No section details from this simple check
-             };
-        } else {
-            console.warn("AI Check: Parsed result has unexpected format.", parsedResult);
-            return null;
+        for (let attempt = 1; !savedSubmission; attempt++) {
+            try {
+                savedSubmission = await newSubmission(await nextAttemptNumber(attemptGroup)).save();
+            } catch (saveError) {
+                if (!isAttemptNumberClash(saveError) || attempt >= ATTEMPT_NUMBER_RETRIES) throw saveError;
+            }
         }
-
+        await enqueueSubmissionProcessing(savedSubmission._id);
+        await refreshGradedAttempt(attemptGroup, assignment.gradedAttempt);
+        return savedSubmission;
     } catch (error) {
-        console.error("Error during OpenAI AI check:", error);
-        return null; // Return null on error
+        if (savedSubmission) await Submission.deleteOne({ _id: savedSubmission._id });
+        try {
+            console.warn(`Error occurred after storing the file. Deleting ${storageRef.key}...`);
+            await deleteFile(storageRef);
+        } catch (cleanupError) {
+            console.error("Error deleting stored file during error handling:", cleanupError);
+        }
+        throw error;
     }
 }
 
-// --- Placeholder Function for Plagiarism Check ---
-async function performPlagiarismCheck(submissionContent) {
-    console.log("Performing Plagiarism check (Placeholder)...");
-    if (!submissionContent || submissionContent.trim().length < 50) {
-        console.warn("Content too short for plagiarism check.");
-        return null;
-    }
-    // --- !!! REPLACE THIS WITH ACTUAL API CALL TO YOUR PLAGIARISM SERVICE !!! ---
-    // Example: const result = await YourPlagiarismAPI.check(submissionContent);
-    // return formattedResult;
-
-    // Simulate finding one match for demonstration
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API delay
-    const firstSentence = submissionContent.split('.')[0] || submissionContent.substring(0, 50);
-
-    // Return mock data matching the expected structure
-    return {
-        score: Math.max(70, Math.floor(Math.random() * 26) + 70), // Simulate 70-95% originality
-        matches: [
-            // {
-            //     text: firstSentence + ".",
-            //     source: "Simulated Source - Wikipedia Example",
-            //     similarity: Math.random() * 0.1 + 0.85 // Simulate 85-95% match
-            // }
-        ] // Start with no matches for less clutter, uncomment above to test
-    };
+// Inflates an archive entry, stopping as soon as it grows past maxBytes (sizes declared in the
+// archive cannot be trusted, and inflating first would let a zip bomb fill memory)
+function readArchiveEntry(entry, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.nodeStream('nodebuffer');
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy(); // Pauses JSZip's inflater, which only runs while the stream is read
+                return reject(new Error('Submission rejected: The file is larger than the 15MB upload limit.'));
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
 }
 
+// Files in LMS export archives that are not submissions
+const isIgnoredArchiveEntry = (name) => name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+    || /(^|\/)(thumbs\.db|desktop\.ini)$/i.test(name);
 
 // --- Routes ---
 router.post('/', authMiddleware, uploadSingle, async (req, res) => {
     // uploadSingle middleware puts file buffer in req.file.buffer
     const { assignmentId, studentNameManual } = req.body;
     const submittedBy = req.user.id;
-    let cloudinaryResult = null; // To store Cloudinary response
 
     try {
         if (!req.file) { return res.status(400).json({ message: 'Submission file is required.' }); }
+        if (!isSupportedFile(req.file.originalname)) {
+            return res.status(400).json({ message: `Submission rejected: Unsupported file type. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}.` });
+        }
         if (!assignmentId || !mongoose.Types.ObjectId.isValid(assignmentId)) { throw new Error('Invalid or missing assignment ID'); }
 
-        const assignment = await Assignment.findById(assignmentId).select('title description');
+        const assignment = await Assignment.findById(assignmentId)
+            .select('title description course createdBy status dueDate allowLateSubmissions latePolicy maxAttempts gradedAttempt')
+            .populate('course', 'archived');
         if (!assignment) { throw new Error('Assignment not found'); }
-        const assignmentContext = assignment.description || assignment.title || "the assigned topic";
-
-        console.log(`Uploading ${req.file.originalname} to Cloudinary...`);
-        // Use upload_stream to handle buffer
-        cloudinaryResult = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                    resource_type: "auto", // Automatically detect type (raw for non-media, image, video)
-                    folder: `submissions/${assignmentId}`, // Optional: Organize in folders
-                    // public_id: `${submissionId}-${Date.now()}` // Optional: custom public ID
-                },
-                (error, result) => {
-                    if (error) {
-                        console.error("Cloudinary Upload Error:", error);
-                        return reject(new Error("Failed to upload file to storage."));
-                    }
-                    resolve(result);
-                }
-            );
-            uploadStream.end(req.file.buffer);
-        });
-
-        if (!cloudinaryResult?.secure_url) {
-             throw new Error("Cloudinary upload succeeded but did not return a secure URL.");
+        if (assignment.course?.archived) { throw new Error('Submission rejected: This course has been archived.'); }
+
+        // Staff may upload on behalf of students; everyone else must be enrolled in the course
+        const isStaff = await isAssignmentStaff(assignment, req.user);
+        if (!isStaff) {
+            const enrolled = await Course.exists({ _id: assignment.course?._id, students: submittedBy });
+            if (!enrolled) { return res.status(403).json({ message: 'You are not enrolled in the course for this assignment.' }); }
+            if (assignment.status === 'draft') { throw new Error('Submission rejected: This assignment has not been published yet.'); }
         }
-        console.log("Cloudinary Upload Successful:", cloudinaryResult.public_id, cloudinaryResult.secure_url);
 
-        let submissionContent = '';
-        try {
-            submissionContent = await extractTextFromFile(req.file.buffer, req.file.originalname);
-        } catch (extractionError) {
-            console.warn(`Could not process file content for checks: ${extractionError.message}`);
-            submissionContent = ''; // Allow submission, but checks might be skipped
-        }
-        if (!submissionContent || submissionContent.trim().length < 20) {
-             console.warn(`Extracted content too short (length: ${submissionContent?.trim().length}). Skipping AI/Plagiarism checks.`);
+        let studentName = (isStaff && studentNameManual) || null;
+        if (!studentName) {
+            const studentUser = await User.findById(submittedBy).select('name');
+            studentName = studentUser ? studentUser.name : null;
         }
 
-        // ---- AI Relevance Check  ---
-        let relevance = 'SOMEWHAT_RELEVANT'; // Default
-        if (submissionContent && submissionContent.trim().length >= 20) { // Only check if content exists
-            console.log(`Checking relevance for assignment: "${assignmentContext}"`);
-            const relevancePrompt = `Assignment Context: "${assignmentContext}"\n\nSubmission Text Snippet (first 500 chars):\n"""\n${submissionContent.substring(0, 500)}\n"""\n\nBased ONLY on the Context and Snippet, is the submission highly relevant, somewhat relevant, or clearly off-topic? Respond with only one word: HIGHLY_RELEVANT, SOMEWHAT_RELEVANT, or OFF_TOPIC.`;
-            try {
-                const completion = await openai.chat.completions.create({ model: "gpt-3.5-turbo", messages: [{ role: "user", content: relevancePrompt }], temperature: 0.2, max_tokens: 10 });
-                const resultText = completion.choices[0]?.message?.content?.trim().toUpperCase();
-                if (resultText === 'OFF_TOPIC') relevance = 'OFF_TOPIC';
-                else if (resultText === 'HIGHLY_RELEVANT') relevance = 'HIGHLY_RELEVANT';
-                console.log("AI Relevance Check Result:", relevance);
-            } catch (aiError) { console.error("OpenAI relevance check failed:", aiError); }
-        } else {
-            console.log("Skipping relevance check due to insufficient content.");
+        // Resubmissions become numbered attempts, limited by Assignment.maxAttempts
+        const attemptGroup = attemptGroupFilter({ assignmentId: assignment._id, submittedBy, studentName });
+        const previousAttempts = await Submission.countDocuments(attemptGroup);
+        if (assignment.maxAttempts && previousAttempts >= assignment.maxAttempts) {
+            return res.status(409).json({ message: `Submission rejected: The maximum of ${assignment.maxAttempts} attempt(s) has been reached.` });
         }
-
-
-        // --- Reject if Off-Topic ---
-        if (relevance === 'OFF_TOPIC') {
-            // If rejected, delete the file from Cloudinary *before* throwing error
-            console.log(`Submission rejected as off-topic. Deleting ${cloudinaryResult.public_id} from Cloudinary.`);
-            await cloudinary.uploader.destroy(cloudinaryResult.public_id, { resource_type: cloudinaryResult.resource_type });
-            throw new Error('Submission rejected: The content does not seem relevant to the assignment topic.');
+        // Students may resubmit until one of their attempts has been graded
+        if (!isStaff && await Submission.exists({ ...attemptGroup, status: 'graded' })) {
+            return res.status(409).json({ message: 'This assignment has already been graded and can no longer be resubmitted.' });
         }
 
-        // --- Perform AI Content & Plagiarism Checks (if content sufficient) ---
-        let aiCheckResultData = null;
-        let plagiarismResultData = null;
-        if (submissionContent && submissionContent.trim().length >= 50) {
-            [aiCheckResultData, plagiarismResultData] = await Promise.all([
-                performAICheck(submissionContent),
-                performPlagiarismCheck(submissionContent) // Replace placeholder
-            ]);
-        } else { console.log("Skipping AI/Plagiarism checks due to short/missing content."); }
-
-        // --- Save Submission to DB ---
-        console.log(`Proceeding to save submission (Relevance: ${relevance})`);
-        let studentName = studentNameManual || null;
-        if (!studentName) {
-            const studentUser = await User.findById(submittedBy).select('name');
-            studentName = studentUser ? studentUser.name : null;
+        // Late policy: staff uploads are still tagged late, but only students are refused after a cutoff
+        const submissionDate = new Date();
+        const lateness = evaluateLateness(assignment, submissionDate);
+        if (!lateness.accepted && !isStaff) {
+            return res.status(400).json({ message: `Submission rejected: ${lateness.reason}` });
         }
 
-        const newSubmission = new Submission({
-            assignmentId, submittedBy, studentName,
-            submissionDate: new Date(), status: 'pending',
-            content: null, // Not saving full text content in DB anymore
-            fileUrl: cloudinaryResult.secure_url, // Save Cloudinary URL
-            fileName: req.file.originalname,
-            cloudinaryPublicId: cloudinaryResult.public_id, // Store public_id for potential deletion
-            cloudinaryResourceType: cloudinaryResult.resource_type, // Store resource type
-            score: null, subScores: undefined, overallFeedback: undefined,
-            inlineComments: undefined,
-            aiCheckerResults: aiCheckResultData,
-            plagiarismResults: plagiarismResultData,
-            feedback: null,
+        // Text extraction and checks run in the background
+        const savedSubmission = await createSubmission({
+            assignment, submittedBy, studentName,
+            submissionDate, lateness, file: req.file,
         });
-
-        const savedSubmission = await newSubmission.save();
         const populatedSubmission = await Submission.findById(savedSubmission._id)
             .populate('submittedBy', 'name email');
 
-        res.status(201).json(populatedSubmission);
+        res.status(202).json(populatedSubmission);
 
     } catch (error) {
         console.error("Error during submission process:", error);
-
-        if (cloudinaryResult?.public_id) {
-            try {
-                console.warn(`Error occurred after Cloudinary upload. Deleting ${cloudinaryResult.public_id}...`);
-                await cloudinary.uploader.destroy(cloudinaryResult.public_id, { resource_type: cloudinaryResult.resource_type });
-                console.log(`Cleaned up Cloudinary file: ${cloudinaryResult.public_id}`);
-            } catch (cleanupError) {
-                console.error("Error deleting Cloudinary file during error handling:", cleanupError);
-            }
-        }
-
+        if (error instanceof QuotaError) { return sendQuotaError(res, error); }
         if (error.message.startsWith('Submission rejected:') || error.message.startsWith('Could not process file content:') || error.message.startsWith('Invalid or missing assignment ID')) {
             return res.status(400).json({ message: error.message });
         }
@@ -285,11 +206,106 @@ router.post('/', authMiddleware, uploadSingle, async (req, res) => {
     }
 });
 
+// Bulk import from a ZIP (e.g. a whole class exported from an LMS). Staff only.
+// Files are matched to enrolled students by file name, or by an optional roster CSV
+// (columns: filename, plus email and/or name). Responds with a report per file.
+router.post('/bulk', authMiddleware, bulkUpload, async (req, res) => {
+    try {
+        const { assignmentId } = req.body;
+        const archiveFile = req.files?.archive?.[0];
+        const rosterFile = req.files?.roster?.[0];
+
+        if (!archiveFile) { return res.status(400).json({ message: 'A ZIP archive is required (form field "archive").' }); }
+        if (!assignmentId || !mongoose.Types.ObjectId.isValid(assignmentId)) { return res.status(400).json({ message: 'Invalid or missing assignment ID' }); }
+
+        const assignment = await Assignment.findById(assignmentId)
+            .select('title course createdBy dueDate allowLateSubmissions latePolicy maxAttempts gradedAttempt')
+            .populate({ path: 'course', select: 'archived students', populate: { path: 'students', select: 'name email' } });
+        if (!assignment) { return res.status(404).json({ message: 'Assignment not found' }); }
+        if (assignment.course?.archived) { return res.status(400).json({ message: 'Submission rejected: This course has been archived.' }); }
+        if (!(await isAssignmentStaff(assignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(archiveFile.buffer);
+        } catch (zipError) {
+            return res.status(400).json({ message: 'The uploaded file is not a valid ZIP archive.', error: zipError.message });
+        }
+        const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredArchiveEntry(entry.name));
+        if (!entries.length) { return res.status(400).json({ message: 'The archive does not contain any files.' }); }
+        if (entries.length > MAX_BULK_FILES) {
+            return res.status(400).json({ message: `The archive contains ${entries.length} files; the limit is ${MAX_BULK_FILES}.` });
+        }
+
+        const rosterRows = rosterFile ? parseCsvRecords(rosterFile.buffer.toString('utf-8')) : [];
+        const students = assignment.course?.students || [];
+        // Staff imports are never refused by the late policy, only tagged late
+        const submissionDate = new Date();
+        const lateness = evaluateLateness(assignment, submissionDate);
+
+        // One file at a time keeps memory bounded for large archives
+        const files = [];
+        for (const entry of entries) {
+            const fileName = entry.name.split('/').pop();
+            const match = matchFileToStudent(entry.name, students, rosterRows);
+            const item = {
+                file: entry.name,
+                status: 'unmatched',
+                student: match.student ? { id: match.student._id, name: match.student.name, email: match.student.email } : null,
+                studentName: match.studentName || null,
+                matchedBy: match.matchedBy || null,
+                submissionId: null,
+                attemptNumber: null,
+                reason: match.reason || null,
+            };
+            files.push(item);
+            if (!match.studentName) continue;
+
+            try {
+                if (!isSupportedFile(fileName)) {
+                    throw new Error(`Submission rejected: Unsupported file type. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+                }
+                const buffer = await readArchiveEntry(entry, MAX_BULK_FILE_SIZE);
+
+                // Students without an account (roster-only names) are recorded as uploaded by the grader
+                const submittedBy = match.student?._id || req.user.id;
+                const previousAttempts = await Submission.countDocuments(attemptGroupFilter({ assignmentId: assignment._id, submittedBy, studentName: match.studentName }));
+                if (assignment.maxAttempts && previousAttempts >= assignment.maxAttempts) {
+                    throw new Error(`Submission rejected: The maximum of ${assignment.maxAttempts} attempt(s) has been reached.`);
+                }
+
+                const savedSubmission = await createSubmission({
+                    assignment, submittedBy, studentName: match.studentName,
+                    submissionDate, lateness, file: { buffer, originalname: fileName },
+                });
+                Object.assign(item, { status: 'created', submissionId: savedSubmission._id, attemptNumber: savedSubmission.attemptNumber });
+            } catch (fileError) {
+                console.error(`Bulk upload: failed to import ${entry.name}:`, fileError.message);
+                Object.assign(item, { status: 'failed', reason: fileError.message.replace(/^Submission rejected: /, '') });
+            }
+        }
+
+        const summary = { total: files.length, created: 0, unmatched: 0, failed: 0 };
+        files.forEach(item => { summary[item.status]++; });
+        console.log(`Bulk upload for assignment ${assignmentId}: ${summary.created} created, ${summary.unmatched} unmatched, ${summary.failed} failed`);
+
+        res.status(summary.created ? 202 : 200).json({
+            assignmentId,
+            isLate: lateness.isLate,
+            summary,
+            files,
+        });
+
+    } catch (error) {
+        console.error("Error during bulk submission upload:", error);
+        res.status(500).json({ message: 'Server error during bulk upload', error: error.message });
+    }
+});
+
 
 router.put('/:submissionId', authMiddleware, async (req, res) => {
     try {
         const { submissionId } = req.params;
-        const userId = req.user.id;
         const updates = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
@@ -297,12 +313,19 @@ router.put('/:submissionId', authMiddleware, async (req, res) => {
         const submission = await Submission.findById(submissionId);
         if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
 
-        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy');
-        // if (!parentAssignment || parentAssignment.createdBy.toString() !== userId.toString()) { return res.status(403).json({ message: 'Permission denied.' }); } 
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course gradedAttempt');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
 
+        // AI comments must stay traceable to the analysis run that suggested them
+        if (Array.isArray(updates.inlineComments)) {
+            const provenanceErrors = await inlineCommentProvenanceProblems(submission._id, submission.inlineComments, updates.inlineComments);
+            if (provenanceErrors.length) { return res.status(400).json({ message: 'Validation failed', errors: provenanceErrors }); }
+        }
+
+        const previousGroup = attemptGroupFilter(submission);
         const allowedUpdates = [ 
             'studentName', 'studentId', 'status', 'score', 'subScores',
-            'overallFeedback', 'inlineComments', 'feedback',
+            'overallFeedback', 'inlineComments', 'feedback', 'latePenaltyPercent',
         ];
         Object.keys(updates).forEach((key) => {
             if (allowedUpdates.includes(key)) {
@@ -310,12 +333,35 @@ router.put('/:submissionId', authMiddleware, async (req, res) => {
                      submission[key] = updates[key].map((comment) => ({ ...comment, _id: comment._id || new mongoose.Types.ObjectId() }));
                  } else if (key === 'subScores' && Array.isArray(updates[key])) { /* ... handle subdoc _id ... */
                      submission[key] = updates[key].map((score) => ({ ...score, _id: score._id || new mongoose.Types.ObjectId() }));
+                 } else if (key === 'score') {
+                     submission.rawScore = updates.score; // Penalty is applied below
                  } else { submission[key] = updates[key]; }
             }
         });
+        // Keep the grader's score and the late-adjusted score in sync (also when the penalty is overridden)
+        if (updates.score !== undefined || updates.latePenaltyPercent !== undefined) {
+            if (submission.rawScore === null && updates.score === undefined) { submission.rawScore = submission.score; } // Graded before rawScore existed
+            submission.score = applyLatePenalty(submission.rawScore, submission.latePenaltyPercent);
+        }
         if (updates.score !== undefined && updates.score !== null && submission.status !== 'graded') { submission.status = 'graded'; }
 
-        const updatedSubmissionDoc = await submission.save();
+        // A new studentName moves the submission into that student's attempt group as its latest attempt
+        const movesGroup = (submission.studentName ?? null) !== previousGroup.studentName;
+        let updatedSubmissionDoc = null;
+        for (let attempt = 1; !updatedSubmissionDoc; attempt++) {
+            if (movesGroup) { submission.attemptNumber = await nextAttemptNumber(attemptGroupFilter(submission)); }
+            try {
+                updatedSubmissionDoc = await submission.save();
+            } catch (saveError) {
+                if (!movesGroup || !isAttemptNumberClash(saveError) || attempt >= ATTEMPT_NUMBER_RETRIES) throw saveError;
+            }
+        }
+        if (movesGroup) {
+            await refreshGradedAttempt(previousGroup, parentAssignment.gradedAttempt);
+        }
+        if (updates.score !== undefined || movesGroup) {
+            await refreshGradedAttempt(attemptGroupFilter(updatedSubmissionDoc), parentAssignment.gradedAttempt);
+        }
 
         const populatedSubmission = await Submission.findById(updatedSubmissionDoc._id)
              .populate('submittedBy', 'name email')
@@ -324,18 +370,12 @@ router.put('/:submissionId', authMiddleware, async (req, res) => {
 
         let fileContent = '';
         let fileReadError = null;
-        if (populatedSubmission.fileUrl) {
-            console.log(`Downloading content for response from: ${populatedSubmission.fileUrl}`);
-             try {
-                 // Download the file content as a buffer
-                 const response = await axios.get(populatedSubmission.fileUrl, { responseType: 'arraybuffer' });
-                 const fileBuffer = Buffer.from(response.data);
-                 fileContent = await extractTextFromFile(fileBuffer, populatedSubmission.fileName);
-             } catch (downloadError) {
-                 console.error(`Error downloading or processing file from Cloudinary URL ${populatedSubmission.fileUrl}:`, downloadError);
-                 fileReadError = `Failed to retrieve file content: ${downloadError.message}`;
-             }
-        } else { fileContent = populatedSubmission.content || ''; } // Fallback
+        try {
+            fileContent = await getSubmissionText(populatedSubmission);
+        } catch (extractionError) {
+            console.error(`Error extracting text for submission ${populatedSubmission._id}:`, extractionError);
+            fileReadError = `Failed to retrieve file content: ${extractionError.message}`;
+        }
 
 
         const responsePayload = {
@@ -376,39 +416,25 @@ router.get('/:submissionId', authMiddleware, async (req, res) => {
 
         // Authorization Check
         const isSubmitter = submission.submittedBy?._id.toString() === userId.toString();
-        const isAssignmentCreator = submission.assignmentId?.createdBy?.toString() === userId.toString();
-        if (!isSubmitter && !isAssignmentCreator) { return res.status(403).json({ message: 'Permission denied.' }); }
+        const isStaff = await isAssignmentStaff(submission.assignmentId, req.user);
+        if (!isSubmitter && !isStaff) { return res.status(403).json({ message: 'Permission denied.' }); }
 
-        // --- Download and Extract Content from Cloudinary URL ---
+        // --- Stored text (extracted once by the background worker) ---
         let fileContent = '';
         let fileReadError = null;
-
-        if (submission.fileUrl) {
-            console.log(`Downloading content from Cloudinary URL: ${submission.fileUrl}`);
+        if (submission.processingStatus === 'processing' && !submission.extraction?.contentHash) {
+            fileReadError = "The submission is still being processed; its text is not available yet.";
+        } else {
             try {
-                // Use axios to download the file content as a buffer
-                const response = await axios.get(submission.fileUrl, {
-                    responseType: 'arraybuffer' // Important: Get data as a buffer
-                });
-                const fileBuffer = Buffer.from(response.data); // Convert response data to Node.js Buffer
-
-                // Extract text using the helper function
-                fileContent = await extractTextFromFile(fileBuffer, submission.fileName);
-
-            } catch (downloadError) {
-                console.error(`Error downloading or processing file from Cloudinary URL ${submission.fileUrl}:`, downloadError);
-                fileReadError = `Failed to retrieve or process file content: ${downloadError.message}`;
-                fileContent = ''; // Ensure content is empty on error
+                fileContent = await getSubmissionText(submission);
+            } catch (extractionError) {
+                console.error(`Error extracting text for submission ${submissionId}:`, extractionError);
+                fileReadError = `Failed to retrieve or process file content: ${extractionError.message}`;
             }
-        } else {
-            // Fallback to content stored in DB if no fileUrl exists
-            console.log(`No fileUrl associated with submission ${submissionId}. Using DB content.`);
-            fileContent = submission.content || ''; // Use DB content field if available
-            if (!fileContent) {
-                 fileReadError = "No file was associated with this submission, and no text content was found in the database.";
+            if (!fileContent && !fileReadError) {
+                fileReadError = "No text content could be extracted from this submission.";
             }
         }
-        // --- End Download and Extract ---
 
         // Prepare response payload
         const responsePayload = {
@@ -422,7 +448,8 @@ router.get('/:submissionId', authMiddleware, async (req, res) => {
             assignmentId: submission.assignmentId?._id,
         };
 
-        res.status(200).json(responsePayload);
+        // Students only get grades and feedback after release
+        res.status(200).json(isStaff ? responsePayload : toStudentSubmission(responsePayload));
 
     } catch (error) {
          console.error("Error fetching submission details:", error);
@@ -444,7 +471,8 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
             .populate('submittedBy', 'name email') // Get student info
             .populate({ // Get assignment info
                 path: 'assignmentId',
-                select: 'title course createdBy totalPoints'
+                select: 'title course createdBy totalPoints',
+                populate: { path: 'course', select: 'title courseCode' }
             })
             .lean(); 
 
@@ -454,15 +482,19 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
 
         // 2. Authorization Check (Student or Teacher)
         const isSubmitter = submission.submittedBy?._id.toString() === userId.toString();
-        const isAssignmentCreator = submission.assignmentId?.createdBy?.toString() === userId.toString();
-        if (!isSubmitter && !isAssignmentCreator) {
+        const isStaff = await isAssignmentStaff(submission.assignmentId, req.user);
+        if (!isSubmitter && !isStaff) {
             return res.status(403).json({ message: 'Permission denied.' });
         }
+        if (!isStaff && !submission.feedbackReleased) {
+            return res.status(403).json({ message: 'Your grade and feedback have not been released yet.' });
+        }
 
         // 3. Prepare Data for PDF
         const assignmentTitle = submission.assignmentId?.title || 'N/A';
         const studentName = submission.submittedBy?.name || submission.studentName || 'Unknown Student';
-        const courseName = submission.assignmentId?.course || 'N/A';
+        const course = submission.assignmentId?.course;
+        const courseName = course?.title ? `${course.title}${course.courseCode ? ` (${course.courseCode})` : ''}` : 'N/A';
         const submissionDate = submission.submissionDate ? new Date(submission.submissionDate).toLocaleDateString() : 'N/A';
         const finalScore = submission.score ?? 'Not Graded';
         const totalPoints = submission.assignmentId?.totalPoints ?? 100;
@@ -489,6 +521,13 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
         doc.font('Helvetica-Bold').text('Course: ', { continued: true }).font('Helvetica').text(courseName);
         doc.font('Helvetica-Bold').text('Submitted On: ', { continued: true }).font('Helvetica').text(submissionDate);
         doc.font('Helvetica-Bold').text('Final Score: ', { continued: true }).font('Helvetica').text(`${finalScore} / ${totalPoints}`);
+        if (submission.isLate) {
+            const penaltyNote = submission.latePenaltyPercent ? `, -${submission.latePenaltyPercent}% penalty (original score ${submission.rawScore ?? 'N/A'})` : '';
+            doc.font('Helvetica-Bold').text('Late: ', { continued: true }).font('Helvetica').text(`${submission.daysLate} day(s)${penaltyNote}`);
+        }
+        if (submission.extraction?.method === 'ocr') {
+            doc.font('Helvetica-Bold').text('Text Source: ', { continued: true }).font('Helvetica').text(`OCR (${submission.extraction.ocrConfidence ?? 'N/A'}% confidence)`);
+        }
         doc.moveDown(1.5);
 
         // Overall Feedback
@@ -569,8 +608,8 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
             doc.moveDown(1);
         }
 
-        // AI & Plagiarism Summary
-        if (submission.aiCheckerResults || submission.plagiarismResults) {
+        // AI & Plagiarism Summary (staff only; students get the same view as toStudentSubmission)
+        if (isStaff && (submission.aiCheckerResults || submission.plagiarismResults)) {
              doc.fontSize(13).font('Helvetica-Bold').text('Analysis Results', { underline: true });
              doc.moveDown(0.5);
              if(submission.aiCheckerResults) {
@@ -581,7 +620,11 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
               if(submission.plagiarismResults) {
                  doc.fontSize(11).font('Helvetica-Bold').text('Plagiarism Check: ', { continued: true })
                     .font('Helvetica').text(`${submission.plagiarismResults.score}% Originality Score`);
-                 // Optionally list matches if needed
+                 // Match sources name other students' submissions: list them for course staff only
+                 (isStaff ? submission.plagiarismResults.matches || [] : []).forEach(match => {
+                     doc.fontSize(10).font('Helvetica-Oblique').text(`"${match.text}"`, { indent: 15 });
+                     doc.fontSize(9).font('Helvetica').text(`Matches ${match.source} (${Math.round((match.similarity || 0) * 100)}% overlap)`, { indent: 15 });
+                 });
                  doc.moveDown(0.5);
              }
         }
@@ -600,10 +643,278 @@ router.get('/:submissionId/report', authMiddleware, async (req, res) => {
     }
 });
 
+router.get('/:submissionId/attempts', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId).lean();
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course maxAttempts gradedAttempt');
+        const isSubmitter = submission.submittedBy.toString() === req.user.id.toString();
+        const isStaff = await isAssignmentStaff(parentAssignment, req.user);
+        if (!isSubmitter && !isStaff) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        const attempts = await Submission.find(attemptGroupFilter(submission))
+            .select('-content')
+            .sort({ attemptNumber: 1, submissionDate: 1 })
+            .lean();
+
+        res.status(200).json({
+            maxAttempts: parentAssignment?.maxAttempts ?? null,
+            gradedAttempt: parentAssignment?.gradedAttempt || 'latest',
+            attempts: isStaff ? attempts : attempts.map(toStudentSubmission),
+        });
+
+    } catch (error) {
+        console.error("Error fetching submission attempts:", error);
+        res.status(500).json({ message: 'Server error fetching submission attempts', error: error.message });
+    }
+});
+
+// Instructor picks which attempt counts (assignments using the 'instructor' gradedAttempt policy)
+router.put('/:submissionId/select-attempt', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId);
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course gradedAttempt');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+        if (parentAssignment.gradedAttempt !== 'instructor') {
+            return res.status(400).json({ message: `This assignment grades the ${parentAssignment.gradedAttempt || 'latest'} attempt automatically.` });
+        }
+
+        const group = attemptGroupFilter(submission);
+        await Submission.updateMany(group, { $set: { instructorSelected: false } });
+        await Submission.updateOne({ _id: submission._id }, { $set: { instructorSelected: true } });
+        const gradedAttemptId = await refreshGradedAttempt(group, parentAssignment.gradedAttempt);
+
+        res.status(200).json({ message: 'Graded attempt updated', gradedAttemptId, attemptNumber: submission.attemptNumber });
+
+    } catch (error) {
+        console.error("Error selecting graded attempt:", error);
+        res.status(500).json({ message: 'Server error selecting graded attempt', error: error.message });
+    }
+});
+
+// GET /:submissionId/diff?against=<submissionId> (defaults to the previous attempt)
+router.get('/:submissionId/diff', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const { against } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId) || (against && !mongoose.Types.ObjectId.isValid(against))) {
+            return res.status(400).json({ message: 'Invalid submission ID format' });
+        }
+
+        const submission = await Submission.findById(submissionId).lean();
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        const group = attemptGroupFilter(submission);
+        const baseline = against
+            ? await Submission.findOne({ ...group, _id: against }).lean()
+            : await Submission.findOne({ ...group, attemptNumber: { $lt: submission.attemptNumber } }).sort({ attemptNumber: -1 }).lean();
+        if (!baseline) {
+            return res.status(404).json({ message: against ? 'Comparison attempt not found for this student and assignment' : 'No earlier attempt to compare against' });
+        }
+
+        const [baselineText, currentText] = await Promise.all([
+            getSubmissionText(baseline),
+            getSubmissionText(submission),
+        ]);
+        const { changes, stats } = diffText(baselineText, currentText);
+
+        res.status(200).json({
+            from: { id: baseline._id, attemptNumber: baseline.attemptNumber, submissionDate: baseline.submissionDate },
+            to: { id: submission._id, attemptNumber: submission.attemptNumber, submissionDate: submission.submissionDate },
+            stats,
+            changes,
+        });
+
+    } catch (error) {
+        console.error("Error comparing submission attempts:", error);
+        res.status(500).json({ message: 'Server error comparing attempts', error: error.message });
+    }
+});
+
+// Time-limited download link for the original file (submitter or staff)
+router.get('/:submissionId/download', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId).select('assignmentId submittedBy fileName fileUrl storage').lean();
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const isSubmitter = submission.submittedBy.toString() === req.user.id.toString();
+        if (!isSubmitter) {
+            const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+            if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+        }
+
+        const storageRef = storageRefFor(submission);
+        if (!storageRef) {
+            // Older uploads kept a public Cloudinary URL
+            if (submission.fileUrl) { return res.status(200).json({ url: submission.fileUrl, expiresAt: null, fileName: submission.fileName }); }
+            return res.status(404).json({ message: 'This submission has no stored file.' });
+        }
+
+        const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+        const { url, expiresAt } = await createDownloadUrl(storageRef, { fileName: submission.fileName, baseUrl });
+        res.status(200).json({ url, expiresAt, fileName: submission.fileName });
+
+    } catch (error) {
+        console.error("Error creating download link:", error);
+        res.status(error.status || 500).json({ message: 'Server error creating download link', error: error.message });
+    }
+});
+
+// --- Background processing status ---
+router.get('/:submissionId/processing', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId).select('assignmentId submittedBy processingStatus').lean();
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const isSubmitter = submission.submittedBy.toString() === req.user.id.toString();
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+        const isStaff = await isAssignmentStaff(parentAssignment, req.user);
+        if (!isSubmitter && !isStaff) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        // Submissions made before background processing have no job
+        const job = await Job.findOne({ submission: submissionId }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            submissionId,
+            processingStatus: submission.processingStatus || 'ready',
+            job: job ? describeJob(job, { includeErrors: isStaff }) : null,
+        });
+
+    } catch (error) {
+        console.error("Error fetching submission processing status:", error);
+        res.status(500).json({ message: 'Server error fetching processing status', error: error.message });
+    }
+});
+
+// Re-run one failed (or skipped) processing step
+router.post('/:submissionId/processing/:step/retry', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId, step } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+        if (!PROCESSING_STEPS.includes(step)) {
+            return res.status(400).json({ message: `Unknown processing step. Use one of: ${PROCESSING_STEPS.join(', ')}.` });
+        }
+
+        const submission = await Submission.findById(submissionId).select('assignmentId');
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        const job = await Job.findOne({ submission: submissionId }).sort({ createdAt: -1 });
+        if (!job) { return res.status(404).json({ message: 'No processing job found for this submission.' }); }
+        if (job.status === 'running') { return res.status(409).json({ message: 'This submission is being processed right now. Try again when it finishes.' }); }
+
+        const jobStep = job.steps.find(s => s.name === step);
+        if (!jobStep || !['failed', 'skipped'].includes(jobStep.status)) {
+            return res.status(409).json({ message: `The ${step} step has not failed and cannot be retried.` });
+        }
+
+        requeueStep(job, step);
+        await job.save();
+        await Submission.updateOne({ _id: submissionId }, { $set: { processingStatus: 'processing' } });
+
+        res.status(202).json({ message: `The ${step} step has been queued for another attempt.`, job: describeJob(job, { includeErrors: true }) });
+
+    } catch (error) {
+        console.error("Error retrying submission processing step:", error);
+        res.status(500).json({ message: 'Server error retrying processing step', error: error.message });
+    }
+});
+
+// Re-run text extraction on the stored file (e.g. after the extractors improve). Staff only.
+router.post('/:submissionId/re-extract', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId);
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+        if (!hasStoredFile(submission)) { return res.status(400).json({ message: 'This submission has no stored file to extract text from.' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        // The worker would overwrite the text (and checks) of a job still in progress
+        if (await Job.exists({ submission: submissionId, status: { $in: ['queued', 'running'] } })) {
+            return res.status(409).json({ message: 'This submission is being processed right now. Try again when it finishes.' });
+        }
+
+        const result = await reextractSubmissionText(submission);
+        console.log(`Re-extracted submission ${submissionId}: ${result.changed ? 'text changed' : 'unchanged'} (extractor v${result.extractorVersion})`);
+
+        // Relevance, AI and plagiarism results describe the old text; check the new one
+        const job = result.changed ? await enqueueSubmissionChecks(submission._id) : null;
+
+        res.status(result.changed ? 202 : 200).json({
+            message: result.changed ? 'Text re-extracted; the stored text has changed and the checks have been queued again.' : 'Text re-extracted; the stored text is unchanged.',
+            ...result,
+            job: job ? describeJob(job, { includeErrors: true }) : null,
+        });
+
+    } catch (error) {
+        console.error("Error re-extracting submission text:", error);
+        res.status(500).json({ message: 'Server error re-extracting submission text', error: error.message });
+    }
+});
+
+router.put('/:submissionId/release', authMiddleware, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const released = req.body.released !== false; // Default to releasing; send { released: false } to withdraw
+
+        if (!mongoose.Types.ObjectId.isValid(submissionId)) { return res.status(400).json({ message: 'Invalid submission ID format' }); }
+
+        const submission = await Submission.findById(submissionId);
+        if (!submission) { return res.status(404).json({ message: 'Submission not found' }); }
+
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy course');
+        if (!(await isAssignmentStaff(parentAssignment, req.user))) { return res.status(403).json({ message: 'Permission denied.' }); }
+
+        submission.feedbackReleased = released;
+        submission.feedbackReleasedAt = released ? new Date() : null;
+        await submission.save();
+
+        res.status(200).json({
+            message: released ? 'Feedback released to student' : 'Feedback withdrawn from student',
+            feedbackReleased: submission.feedbackReleased,
+            feedbackReleasedAt: submission.feedbackReleasedAt,
+        });
+
+    } catch (error) {
+        console.error("Error releasing feedback:", error);
+        res.status(500).json({ message: 'Server error releasing feedback', error: error.message });
+    }
+});
+
 router.delete('/:submissionId', authMiddleware, async (req, res) => {
     try {
         const { submissionId } = req.params;
-        const userId = req.user.id;
 
         if (!mongoose.Types.ObjectId.isValid(submissionId)) {
             return res.status(400).json({ message: 'Invalid submission ID format' });
@@ -614,19 +925,22 @@ router.delete('/:submissionId', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'Submission not found' });
         }
 
-        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy');
-        if (!parentAssignment || parentAssignment.createdBy.toString() !== userId.toString()) {
+        const parentAssignment = await Assignment.findById(submission.assignmentId).select('createdBy gradedAttempt');
+        if (!isAssignmentOwner(parentAssignment, req.user)) {
             return res.status(403).json({ message: 'Permission denied.' });
         }
 
-        // Delete the file from Cloudinary
-        if (submission.cloudinaryPublicId) {
-            await cloudinary.uploader.destroy(submission.cloudinaryPublicId, { resource_type: submission.cloudinaryResourceType });
-            console.log(`Deleted file from Cloudinary: ${submission.cloudinaryPublicId}`);
+        // Delete the stored file
+        const storageRef = storageRefFor(submission);
+        if (storageRef) {
+            await deleteFile(storageRef);
+            console.log(`Deleted stored file: ${storageRef.key} (${storageRef.driver})`);
         }
 
         // Delete the submission document from MongoDB
         await Submission.deleteOne({ _id: submissionId });
+        await Job.deleteMany({ submission: submissionId });
+        await refreshGradedAttempt(attemptGroupFilter(submission), parentAssignment.gradedAttempt);
 
         res.status(200).json({ message: 'Submission deleted successfully' });
 
@@ -0,0 +1,20 @@
+// backend/routes/usage.js
+// Plan and usage overview for the signed-in user: AI analyses this month, storage and
+// submission counts against the quotas of their plan (utils/plans.js).
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { getUsageSummary } = require('../utils/usage');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const summary = await getUsageSummary(req.user.id);
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error("Error fetching usage:", error);
+        res.status(500).json({ message: 'Error fetching usage', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// backend/scripts/migrateAssignmentCourses.js
+// One-off migration: Assignment.course used to be a free-text string. This maps each
+// string onto the creator's Course by courseCode (then title), case-insensitively.
+//
+// Usage:
+//   node scripts/migrateAssignmentCourses.js            # dry run, prints the plan
+//   node scripts/migrateAssignmentCourses.js --apply    # write the changes
+//   node scripts/migrateAssignmentCourses.js --apply --create-missing
+//       (creates a course for strings that match nothing, instead of skipping them)
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+
+dotenv.config();
+
+const apply = process.argv.includes('--apply');
+const createMissing = process.argv.includes('--create-missing');
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+async function findCourse(instructorId, courseText) {
+  const courses = await Course.find({ instructor: instructorId }).select('_id title courseCode').lean();
+  const wanted = normalize(courseText);
+  return courses.find(c => normalize(c.courseCode) === wanted)
+    || courses.find(c => normalize(c.title) === wanted)
+    || null;
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`MongoDB connected (${apply ? 'APPLY' : 'DRY RUN'})`);
+
+  // Read the raw collection: the schema now casts `course` to an ObjectId
+  const legacyAssignments = await Assignment.collection
+    .find({ course: { $type: 'string' } })
+    .project({ _id: 1, title: 1, course: 1, createdBy: 1 })
+    .toArray();
+
+  const summary = { matched: 0, created: 0, unmatched: 0 };
+  // Courses a dry run would have created, keyed like findCourse matches them, so later
+  // assignments with the same text count as matched (as they do in a real run)
+  const plannedCourses = new Set();
+  const plannedKey = (assignment) => `${assignment.createdBy}:${normalize(assignment.course)}`;
+
+  for (const assignment of legacyAssignments) {
+    let course = await findCourse(assignment.createdBy, assignment.course);
+    if (!course && !apply && plannedCourses.has(plannedKey(assignment))) course = { _id: '(new course)' };
+
+    if (!course && createMissing && normalize(assignment.course)) {
+      if (apply) {
+        course = await Course.create({
+          title: assignment.course.trim(),
+          courseCode: assignment.course.trim(),
+          instructor: assignment.createdBy,
+        });
+      } else {
+        plannedCourses.add(plannedKey(assignment));
+        course = { _id: '(new course)' };
+      }
+      summary.created++;
+      console.log(`  [create] "${assignment.course}" for assignment ${assignment._id} (${assignment.title})`);
+    } else if (!course) {
+      summary.unmatched++;
+      console.warn(`  [skip]   No course matches "${assignment.course}" for assignment ${assignment._id} (${assignment.title})`);
+      continue;
+    } else {
+      summary.matched++;
+      console.log(`  [match]  "${assignment.course}" -> course ${course._id} for assignment ${assignment._id}`);
+    }
+
+    if (apply) {
+      // Keep the original text alongside the new reference in case a mapping needs revisiting
+      await Assignment.collection.updateOne(
+        { _id: assignment._id },
+        { $set: { course: course._id, legacyCourse: assignment.course } }
+      );
+    }
+  }
+
+  console.log(`Done. ${legacyAssignments.length} legacy assignments: ${summary.matched} matched, ${summary.created} new courses, ${summary.unmatched} unmatched.`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,54 @@
+// backend/scripts/migrateEmailsLowercase.js
+// One-off migration: accounts created before emails were normalized may have them stored as
+// typed ("Jane.Doe@School.edu"). Sign-in and sign-up now look emails up exactly, so this stores
+// every address trimmed and lowercase. Accounts whose lowercase address already belongs to
+// another account are reported and left alone; merge or rename those by hand.
+//
+// Usage:
+//   node scripts/migrateEmailsLowercase.js            # dry run, prints the plan
+//   node scripts/migrateEmailsLowercase.js --apply    # write the changes
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { normalizeEmail } = require('../utils/validation');
+
+dotenv.config();
+
+const apply = process.argv.includes('--apply');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`MongoDB connected (${apply ? 'APPLY' : 'DRY RUN'})`);
+
+  const users = await User.find({ email: { $type: 'string' } }).select('_id email').lean();
+  const owners = new Map(); // normalized email -> id of the account that keeps it
+  users.filter(user => user.email === normalizeEmail(user.email)).forEach(user => owners.set(user.email, user._id.toString()));
+  const mixedCase = users.filter(user => user.email !== normalizeEmail(user.email));
+
+  const summary = { updated: 0, conflicts: 0 };
+
+  for (const user of mixedCase) {
+    const email = normalizeEmail(user.email);
+    if (owners.has(email)) {
+      summary.conflicts++;
+      console.warn(`  [skip]   ${user.email} (user ${user._id}): ${email} belongs to user ${owners.get(email)}`);
+      continue;
+    }
+    owners.set(email, user._id.toString());
+    summary.updated++;
+    console.log(`  [update] ${user.email} -> ${email} (user ${user._id})`);
+
+    if (apply) {
+      await User.updateOne({ _id: user._id }, { $set: { email } });
+    }
+  }
+
+  console.log(`Done. ${mixedCase.length} addresses not normalized: ${summary.updated} ${apply ? 'updated' : 'to update'}, ${summary.conflicts} conflicts.`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
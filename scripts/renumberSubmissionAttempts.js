@@ -0,0 +1,84 @@
+// backend/scripts/renumberSubmissionAttempts.js
+// One-off migration: submissions saved before numbered attempts have no attemptNumber (or all
+// read as attempt 1), so the unique attempt index cannot be built. This numbers every attempt
+// group (assignment + submitter + student name) 1..n in submission order, then marks the attempt
+// that counts under the assignment's gradedAttempt policy.
+//
+// Usage:
+//   node scripts/renumberSubmissionAttempts.js            # dry run, prints the plan
+//   node scripts/renumberSubmissionAttempts.js --apply    # write the changes and build the index
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { attemptGroupFilter, refreshGradedAttempt } = require('../utils/attempts');
+
+dotenv.config();
+
+const apply = process.argv.includes('--apply');
+
+const submittedAt = (submission) => new Date(submission.submissionDate || submission.createdAt || 0).getTime();
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`MongoDB connected (${apply ? 'APPLY' : 'DRY RUN'})`);
+
+  // Read the raw collection: the schema defaults a missing attemptNumber to 1
+  const submissions = await Submission.collection
+    .find({})
+    .project({ _id: 1, assignmentId: 1, submittedBy: 1, studentName: 1, attemptNumber: 1, submissionDate: 1, createdAt: 1 })
+    .toArray();
+
+  const groups = new Map(); // group key -> submissions in that attempt group
+  for (const submission of submissions) {
+    const key = JSON.stringify([String(submission.assignmentId), String(submission.submittedBy), submission.studentName ?? null]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(submission);
+  }
+
+  const assignmentIds = [...new Set(submissions.map(s => String(s.assignmentId)))];
+  const assignments = await Assignment.find({ _id: { $in: assignmentIds } }).select('_id gradedAttempt').lean();
+  const policies = new Map(assignments.map(a => [a._id.toString(), a.gradedAttempt]));
+
+  const summary = { groups: groups.size, renumberedGroups: 0, renumbered: 0 };
+
+  for (const attempts of groups.values()) {
+    attempts.sort((a, b) => (submittedAt(a) - submittedAt(b)) || String(a._id).localeCompare(String(b._id)));
+    const changes = attempts
+      .map((submission, index) => ({ submission, attemptNumber: index + 1 }))
+      .filter(({ submission, attemptNumber }) => submission.attemptNumber !== attemptNumber);
+
+    const { assignmentId, submittedBy, studentName } = attempts[0];
+    if (changes.length) {
+      summary.renumberedGroups++;
+      summary.renumbered += changes.length;
+      console.log(`  [renumber] assignment ${assignmentId}, submitter ${submittedBy}${studentName ? `, student "${studentName}"` : ''}`);
+      changes.forEach(({ submission, attemptNumber }) => console.log(`      ${submission._id}: ${submission.attemptNumber ?? 'none'} -> ${attemptNumber}`));
+    }
+
+    if (apply) {
+      // Park the changed attempts on temporary numbers first so a swap cannot clash with an existing unique index
+      for (const [index, { submission }] of changes.entries()) {
+        await Submission.collection.updateOne({ _id: submission._id }, { $set: { attemptNumber: -(index + 1) } });
+      }
+      for (const { submission, attemptNumber } of changes) {
+        await Submission.collection.updateOne({ _id: submission._id }, { $set: { attemptNumber } });
+      }
+      await refreshGradedAttempt(attemptGroupFilter(attempts[0]), policies.get(String(assignmentId)));
+    }
+  }
+
+  if (apply) {
+    await Submission.createIndexes();
+    console.log('Attempt index built.');
+  }
+
+  console.log(`Done. ${summary.groups} attempt groups: ${summary.renumberedGroups} ${apply ? 'renumbered' : 'to renumber'} (${summary.renumbered} submissions).`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// backend/scripts/submissionWorker.js
+// Runs the submission processing worker on its own, e.g. when the API server is started
+// with SUBMISSION_WORKER=false. Any number of workers can share the same queue.
+//
+// Usage:
+//   node scripts/submissionWorker.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { startSubmissionWorker } = require('../utils/submissionProcessing');
+const { terminateOcr } = require('../utils/ocr');
+
+dotenv.config();
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log("MongoDB connected");
+    const worker = startSubmissionWorker();
+    const shutdown = () => {
+      worker.stop();
+      terminateOcr();
+      mongoose.disconnect();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch(err => {
+    console.error("MongoDB connection error:", err);
+    process.exitCode = 1;
+  });
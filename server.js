@@ -7,38 +7,37 @@ const assignmentRoutes = require("./routes/assignments")
 const submissionRoutes = require("./routes/submissions");
 const aiRoutes = require("./routes/aiRoutes"); 
 const courseRoutes = require("./routes/courses");
-const cloudinary = require('cloudinary').v2;
+const studentRoutes = require("./routes/student");
+const fileRoutes = require("./routes/files");
+const usageRoutes = require("./routes/usage");
+const rubricRoutes = require("./routes/rubrics");
+const { startSubmissionWorker } = require("./utils/submissionProcessing");
 const morgan = require('morgan');
 
 dotenv.config()
 
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-  secure: true, // Optional: ensure https URLs
-});
-
-
-
 const app = express()
 app.use(morgan('dev'))
 app.use(cors())
 app.use(express.json())
 
-const path = require('path'); // Need path module
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Submission files are not served statically: see GET /api/submissions/:submissionId/download
 
 app.use('/api/auth', authRoutes)
 app.use("/api/assignment", assignmentRoutes)
 app.use("/api/submissions", submissionRoutes); 
 app.use("/api/courses", courseRoutes);
 app.use("/api/ai", aiRoutes); 
+app.use("/api/student", studentRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/rubrics", rubricRoutes);
 
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("MongoDB connected")
     app.listen(5000, () => console.log("Server running on port 5000"))
+    // Set SUBMISSION_WORKER=false to run the worker separately (npm run worker)
+    if (process.env.SUBMISSION_WORKER !== 'false') startSubmissionWorker()
   })
   .catch(err => console.error("MongoDB connection error:", err))
@@ -0,0 +1,74 @@
+// backend/utils/accountTokens.js
+// Password reset and email verification: single-use, expiring tokens (models/AccountToken.js)
+// delivered by email through utils/mailer.js.
+//
+// Configuration (environment):
+//   APP_URL                        frontend base URL used in emailed links (default http://localhost:3000)
+//   PASSWORD_RESET_TTL_MINUTES     default 60
+//   EMAIL_VERIFICATION_TTL_HOURS   default 48
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('./mailer');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const TOKEN_TTL_MS = {
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60 * 60 * 1000,
+};
+const RESEND_INTERVAL_MS = 60 * 1000; // At most one email per purpose per minute
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a new token (older unused ones for the same purpose stop working).
+// Returns null when one was issued less than a minute ago.
+async function createAccountToken(user, purpose) {
+  const recent = await AccountToken.exists({ user: user._id, purpose, usedAt: null, createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) } });
+  if (recent) return null;
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[purpose]);
+  await AccountToken.create({ user: user._id, purpose, tokenHash: hashToken(token), email: user.email, expiresAt });
+  return { token, expiresAt };
+}
+
+// Marks a valid token used and returns it (with .user), or null if unknown, used or expired
+async function consumeAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+const minutes = (ms) => Math.round(ms / 60000);
+
+async function sendPasswordResetEmail(user) {
+  const issued = await createAccountToken(user, 'password_reset');
+  if (!issued) return false;
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(issued.token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name || 'there'},\n\nSomeone asked to reset the password for your account. Use this link within ${minutes(TOKEN_TTL_MS.password_reset)} minutes to choose a new one:\n\n${link}\n\nIf you did not ask for this, you can ignore this email; your password has not been changed.`,
+  });
+  return true;
+}
+
+async function sendVerificationEmail(user) {
+  const issued = await createAccountToken(user, 'email_verification');
+  if (!issued) return false;
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(issued.token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name || 'there'},\n\nPlease confirm your email address by opening this link within ${Math.round(minutes(TOKEN_TTL_MS.email_verification) / 60)} hours:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+  return true;
+}
+
+module.exports = { consumeAccountToken, sendPasswordResetEmail, sendVerificationEmail };
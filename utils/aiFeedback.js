@@ -0,0 +1,152 @@
+// backend/utils/aiFeedback.js
+// AI feedback on a submission (POST /api/ai/analyze-submission): overall feedback plus inline
+// comments tied to quotes from the text. The model answers with JSON matching FEEDBACK_SCHEMA
+// (utils/structuredOutput.js); quotes are anchored to character offsets by utils/quoteAnchoring.js.
+// Long submissions are analyzed chunk by chunk (utils/chunking.js) and the results merged, with
+// comment offsets mapped back to the full text. All chunks are metered as one analysis, so the
+// quota and rate limit are checked once, before the first chunk (utils/usage.js).
+const { completeStructured } = require('./structuredOutput');
+const { meteredAnalysis } = require('./usage');
+const { anchorComments } = require('./quoteAnchoring');
+const { chunkDocument, sampleChunks, chunkLabel } = require('./chunking');
+
+// Stored with every analysis run (models/AnalysisRun.js); bump it whenever the prompt or schema changes
+const FEEDBACK_PROMPT_VERSION = 'feedback-3';
+const FEEDBACK_TEMPERATURE = 0.6;
+const MAX_FEEDBACK_ITEMS = 5; // Per overall feedback field, after merging chunks
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const FEEDBACK_SCHEMA = {
+  name: 'submission_feedback',
+  schema: {
+    type: 'object',
+    properties: {
+      strengths: stringList,
+      improvements: stringList,
+      actionItems: stringList,
+      inlineComments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            quote: { type: 'string', minLength: 1 },
+            comment: { type: 'string', minLength: 1 },
+          },
+          required: ['quote', 'comment'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['strengths', 'improvements', 'actionItems', 'inlineComments'],
+    additionalProperties: false,
+  },
+};
+
+// `part` ({ label, index, total }) when the text is one chunk of a longer submission
+function buildFeedbackPrompt(submissionContent, part = null) {
+  const scope = part
+    ? `This is part ${part.index + 1} of ${part.total} of a longer submission (${part.label}); comment on this part only.\n    `
+    : '';
+  return `
+    ${scope}Analyze the following student submission text for an assignment. Provide constructive feedback suitable for a teacher reviewing the work.
+    Give 2-4 strengths, improvements and specific action items for the student, and 2-4 inline comments on key passages focusing on clarity, argumentation, evidence, or grammar.
+    For each inline comment, "quote" must be copied exactly from the submission (a sentence or phrase, not a whole paragraph).
+
+    Respond *only* with JSON in this shape:
+    {
+      "strengths": ["Strength identified from the text"],
+      "improvements": ["Area for improvement"],
+      "actionItems": ["Specific action item for the student"],
+      "inlineComments": [ { "quote": "Exact quote from the text", "comment": "Constructive comment about this quote" } ]
+    }
+
+    SUBMISSION CONTENT TO ANALYZE:
+    """
+    ${submissionContent}
+    """
+  `;
+}
+
+const joinItems = (items) => items.map(item => item.trim()).filter(Boolean).join('\n');
+
+// Takes items from each chunk's list in turn, so every part of the document is represented
+function mergeItems(lists) {
+  const merged = [];
+  const seen = new Set();
+  for (let i = 0; merged.length < MAX_FEEDBACK_ITEMS && lists.some(list => i < list.length); i++) {
+    for (const list of lists) {
+      const item = (list[i] || '').trim();
+      const key = item.toLowerCase();
+      if (!item || seen.has(key) || merged.length >= MAX_FEEDBACK_ITEMS) continue;
+      seen.add(key);
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+// Feedback on one chunk, with its comments anchored at offsets in the full text
+async function analyzeChunk(chunk, totalChunks, meter) {
+  const part = totalChunks > 1 ? { index: chunk.index, total: totalChunks, label: chunkLabel(chunk, totalChunks) } : null;
+  const result = await completeStructured({
+    meter,
+    task: 'feedback', // Model configurable via LLM_MODEL_FEEDBACK
+    messages: [{ role: 'user', content: buildFeedbackPrompt(chunk.text, part) }],
+    schema: FEEDBACK_SCHEMA,
+    temperature: FEEDBACK_TEMPERATURE,
+  });
+  // Quotes are searched for in their own chunk, then shifted to offsets in the full text
+  const { placed, unplaced } = anchorComments(chunk.text, result.value.inlineComments);
+  placed.forEach(comment => {
+    comment.startIndex += chunk.start;
+    comment.endIndex += chunk.start;
+  });
+  return { ...result, placed, unplaced };
+}
+
+// Returns { suggestedOverallFeedback: { strengths, improvements, actionItems }, suggestedInlineComments,
+// unplacedComments, unplacedCommentCount, chunks: { total, analyzed }, run } where run holds what
+// utils/analysisRuns.js records
+async function analyzeSubmission(submissionContent, { meter = null } = {}) {
+  const allChunks = chunkDocument(submissionContent);
+  const chunks = sampleChunks(allChunks);
+
+  const analyzeChunks = async (chunkMeter) => {
+    const analyzed = [];
+    for (const chunk of chunks) {
+      analyzed.push(await analyzeChunk(chunk, allChunks.length, chunkMeter));
+    }
+    return analyzed;
+  };
+  const results = meter ? await meteredAnalysis(meter, 'feedback', analyzeChunks) : await analyzeChunks(null);
+
+  const merged = (field) => joinItems(mergeItems(results.map(result => result.value[field])));
+  const unplaced = results.flatMap(result => result.unplaced);
+  const { completion } = results[0];
+  return {
+    suggestedOverallFeedback: {
+      strengths: merged('strengths'),
+      improvements: merged('improvements'),
+      actionItems: merged('actionItems'),
+    },
+    suggestedInlineComments: results.flatMap(result => result.placed).sort((a, b) => a.startIndex - b.startIndex),
+    unplacedComments: unplaced,
+    unplacedCommentCount: unplaced.length,
+    chunks: { total: allChunks.length, analyzed: chunks.length },
+    run: {
+      provider: completion.provider,
+      model: completion.model,
+      promptVersion: FEEDBACK_PROMPT_VERSION,
+      parameters: {
+        temperature: FEEDBACK_TEMPERATURE,
+        maxTokens: null,
+        attempts: results.reduce((sum, result) => sum + result.attempts, 0),
+        chunks: chunks.length,
+      },
+      responses: results.flatMap(result => result.responses),
+    },
+  };
+}
+
+module.exports = { FEEDBACK_PROMPT_VERSION, FEEDBACK_TEMPERATURE, FEEDBACK_SCHEMA, buildFeedbackPrompt, analyzeSubmission };
@@ -0,0 +1,278 @@
+// backend/utils/aiGrading.js
+// AI draft grades (POST /api/ai/grade-submission): a score, rationale and supporting quotes for
+// every rubric criterion, for the instructor to review. The model answers with JSON matching
+// GRADING_SCHEMA (utils/structuredOutput.js). Long submissions are read chunk by chunk
+// (utils/chunking.js): each part gets notes per criterion, then one more call grades the whole
+// submission from those notes, so the grade is not based on the opening pages alone. All calls
+// are metered as one analysis (utils/usage.js).
+const { completeStructured } = require('./structuredOutput');
+const { meteredAnalysis } = require('./usage');
+const { chunkDocument, sampleChunks, chunkLabel } = require('./chunking');
+
+// Stored with every grading run (models/AnalysisRun.js); bump it whenever a prompt or schema changes
+const GRADING_PROMPT_VERSION = 'grading-2';
+const GRADING_TEMPERATURE = 0.2;
+
+const quoteList = { type: 'array', items: { type: 'string' } };
+
+const GRADING_SCHEMA = {
+  name: 'draft_grade',
+  schema: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            score: { type: 'number' },
+            maxScore: { type: 'number' },
+            rationale: { type: 'string' },
+            quotes: quoteList,
+          },
+          required: ['name', 'score', 'maxScore', 'rationale', 'quotes'],
+          additionalProperties: false,
+        },
+      },
+      summary: { type: 'string' },
+    },
+    required: ['criteria', 'summary'],
+    additionalProperties: false,
+  },
+};
+
+// What one part of a long submission shows for each criterion (no scores)
+const PART_NOTES_SCHEMA = {
+  name: 'grading_part_notes',
+  schema: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            notes: { type: 'string' },
+            quotes: quoteList,
+          },
+          required: ['name', 'notes', 'quotes'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['criteria'],
+    additionalProperties: false,
+  },
+};
+
+const normalizeForMatch = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+function rubricSection(rubric) {
+  return rubric.criteria
+    ? JSON.stringify(rubric.criteria, null, 2)
+    : `${rubric.text}\n\n(Derive the criteria and their maximum points from this rubric text.)`;
+}
+
+function assignmentSection(assignment) {
+  return `ASSIGNMENT: ${assignment.title}
+    ${assignment.description || ''}
+    ${assignment.content?.instructions ? `INSTRUCTIONS:\n${assignment.content.instructions}` : ''}`;
+}
+
+const GRADING_SHAPE = `{
+      "criteria": [
+        { "name": "Criterion name exactly as in the rubric", "score": 8, "maxScore": 10, "rationale": "Why this score", "quotes": ["exact quote from the submission"] }
+      ],
+      "summary": "Two or three sentences summarising the overall grade."
+    }`;
+
+// One call with the full text (short submissions)
+function buildGradingPrompt(assignment, rubric, submissionText) {
+  return `
+    You are grading a student submission against a rubric. Score EVERY criterion. For each one, give a short rationale and 1-3 supporting quotes copied EXACTLY from the submission text.
+
+    Respond *only* with JSON in this shape:
+    ${GRADING_SHAPE}
+
+    ${assignmentSection(assignment)}
+
+    RUBRIC:
+    ${rubricSection(rubric)}
+
+    SUBMISSION TEXT:
+    """
+    ${submissionText}
+    """
+  `;
+}
+
+// `part` ({ label, index, total }): one chunk of a long submission, read before it is graded
+function buildPartNotesPrompt(assignment, rubric, partText, part) {
+  return `
+    This is part ${part.index + 1} of ${part.total} of a longer student submission (${part.label}). The whole submission will be graded against the rubric below once every part has been read; do NOT score it.
+    For each criterion, note in 1-3 sentences what this part shows (strengths, gaps, errors), and copy up to 3 supporting quotes EXACTLY from this part. Leave "notes" empty and "quotes" empty when this part does not bear on a criterion.
+
+    Respond *only* with JSON in this shape:
+    {
+      "criteria": [ { "name": "Criterion name exactly as in the rubric", "notes": "What this part shows for the criterion", "quotes": ["exact quote from this part"] } ]
+    }
+
+    ${assignmentSection(assignment)}
+
+    RUBRIC:
+    ${rubricSection(rubric)}
+
+    PART TEXT:
+    """
+    ${partText}
+    """
+  `;
+}
+
+// Final call for a long submission: grade the whole from the notes on each part
+function buildNotesGradingPrompt(assignment, rubric, partNotes, chunks) {
+  const coverage = chunks.analyzed < chunks.total
+    ? `It was read in ${chunks.total} parts, of which ${chunks.analyzed} spread over the whole text were read`
+    : `It was read in ${chunks.total} parts`;
+  return `
+    You are grading a long student submission against a rubric. ${coverage}; below are notes and exact quotes on each part, in document order.
+    Score EVERY criterion for the submission as a whole. For each one, give a short rationale and 1-3 supporting quotes taken from the notes (copy them exactly).
+
+    Respond *only* with JSON in this shape:
+    ${GRADING_SHAPE}
+
+    ${assignmentSection(assignment)}
+
+    RUBRIC:
+    ${rubricSection(rubric)}
+
+    NOTES ON EACH PART:
+    """
+    ${JSON.stringify(partNotes, null, 2)}
+    """
+  `;
+}
+
+// Problems a schema cannot catch: criteria that are not in the rubric, missing or out of range
+function gradingProblems(value, rubric) {
+  const problems = [];
+  if (!rubric.criteria) {
+    value.criteria.forEach((graded) => {
+      if (!(graded.maxScore > 0)) problems.push(`Criterion "${graded.name}": maxScore must be greater than 0.`);
+      else if (graded.score < 0 || graded.score > graded.maxScore) problems.push(`Criterion "${graded.name}": score must be between 0 and ${graded.maxScore}.`);
+    });
+    if (!value.criteria.length) problems.push('Score at least one criterion.');
+    return problems;
+  }
+
+  const rubricNames = new Set(rubric.criteria.map(criterion => normalizeForMatch(criterion.name)));
+  value.criteria
+    .filter(graded => !rubricNames.has(normalizeForMatch(graded.name)))
+    .forEach(graded => problems.push(`"${graded.name}" is not a rubric criterion.`));
+  rubric.criteria.forEach((criterion) => {
+    const graded = value.criteria.filter(c => normalizeForMatch(c.name) === normalizeForMatch(criterion.name));
+    const minScore = criterion.minScore || 0;
+    if (!graded.length) problems.push(`Criterion "${criterion.name}" is not scored.`);
+    else if (graded.length > 1) problems.push(`Criterion "${criterion.name}" is scored more than once.`);
+    else if (graded[0].score < minScore || graded[0].score > criterion.maxScore) {
+      problems.push(`Criterion "${criterion.name}": score must be between ${minScore} and ${criterion.maxScore}.`);
+    }
+  });
+  return problems;
+}
+
+function partNotesProblems(value, rubric) {
+  if (!rubric.criteria) return [];
+  const rubricNames = new Set(rubric.criteria.map(criterion => normalizeForMatch(criterion.name)));
+  return value.criteria
+    .filter(noted => !rubricNames.has(normalizeForMatch(noted.name)))
+    .map(noted => `"${noted.name}" is not a rubric criterion.`);
+}
+
+// Total of the criterion scores, scaled onto the assignment's totalPoints
+function scaledTotal(subScores, totalPoints) {
+  const earned = subScores.reduce((sum, s) => sum + (Number(s.score) || 0), 0);
+  const possible = subScores.reduce((sum, s) => sum + (Number(s.maxScore) || 0), 0);
+  return possible ? Math.round((earned / possible) * (totalPoints ?? 100) * 100) / 100 : 0;
+}
+
+// Clamp model scores to the rubric, keep only quotes that really occur in the text,
+// and normalize the total onto the assignment's totalPoints.
+function buildDraftGrade(aiResult, rubric, submissionText, totalPoints) {
+  const normalizedText = normalizeForMatch(submissionText);
+  const aiCriteria = aiResult.criteria;
+  const findAiCriterion = (name) => aiCriteria.find(c => normalizeForMatch(c.name) === normalizeForMatch(name));
+
+  const criteria = rubric.criteria
+    || aiCriteria.filter(c => c.maxScore > 0).map(c => ({ name: c.name, maxScore: c.maxScore }));
+
+  const subScores = criteria.map((criterion) => {
+    const graded = findAiCriterion(criterion.name);
+    const evidence = (graded?.quotes || []).filter(q => q.trim() && normalizedText.includes(normalizeForMatch(q)));
+    const score = Math.min(Math.max(Number(graded?.score) || 0, criterion.minScore || 0), criterion.maxScore);
+    return {
+      name: criterion.name,
+      score,
+      maxScore: criterion.maxScore,
+      rationale: graded?.rationale || 'Not assessed by the AI grader.',
+      evidence,
+    };
+  });
+
+  return { subScores, totalScore: scaledTotal(subScores, totalPoints), summary: aiResult.summary };
+}
+
+// Returns { draft: { subScores, totalScore, summary }, chunks: { total, analyzed }, run } where run
+// holds what utils/analysisRuns.js records
+async function gradeSubmission(submissionText, { assignment, rubric, meter = null }) {
+  const allChunks = chunkDocument(submissionText);
+  const chunks = sampleChunks(allChunks);
+  const coverage = { total: allChunks.length, analyzed: chunks.length };
+  const structured = (analysisMeter, content, schema, check) => completeStructured({
+    meter: analysisMeter,
+    task: 'grading', // Model configurable via LLM_MODEL_GRADING
+    messages: [{ role: 'user', content }],
+    schema,
+    check: value => check(value, rubric),
+    temperature: GRADING_TEMPERATURE,
+  });
+
+  const gradeChunks = async (analysisMeter) => {
+    if (allChunks.length === 1) {
+      return [await structured(analysisMeter, buildGradingPrompt(assignment, rubric, submissionText), GRADING_SCHEMA, gradingProblems)];
+    }
+    const results = [];
+    const partNotes = [];
+    for (const chunk of chunks) {
+      const part = { index: chunk.index, total: allChunks.length, label: chunkLabel(chunk, allChunks.length) };
+      const notes = await structured(analysisMeter, buildPartNotesPrompt(assignment, rubric, chunk.text, part), PART_NOTES_SCHEMA, partNotesProblems);
+      results.push(notes);
+      partNotes.push({ part: part.label, criteria: notes.value.criteria.filter(c => c.notes.trim() || c.quotes.length) });
+    }
+    results.push(await structured(analysisMeter, buildNotesGradingPrompt(assignment, rubric, partNotes, coverage), GRADING_SCHEMA, gradingProblems));
+    return results;
+  };
+  const results = meter ? await meteredAnalysis(meter, 'grading', gradeChunks) : await gradeChunks(null);
+
+  const grading = results[results.length - 1];
+  return {
+    draft: buildDraftGrade(grading.value, rubric, submissionText, assignment.totalPoints),
+    chunks: coverage,
+    run: {
+      provider: grading.completion.provider,
+      model: grading.completion.model,
+      promptVersion: GRADING_PROMPT_VERSION,
+      parameters: {
+        temperature: GRADING_TEMPERATURE,
+        maxTokens: null,
+        attempts: results.reduce((sum, result) => sum + result.attempts, 0),
+        chunks: chunks.length,
+      },
+      responses: results.flatMap(result => result.responses),
+    },
+  };
+}
+
+module.exports = { GRADING_PROMPT_VERSION, GRADING_TEMPERATURE, GRADING_SCHEMA, gradeSubmission, scaledTotal };
@@ -0,0 +1,204 @@
+// backend/utils/analysisRuns.js
+// Recording AI runs on submissions (models/AnalysisRun.js), comparing two runs, and checking
+// that AI-generated inline comments saved on a submission point at the run that suggested them.
+const mongoose = require('mongoose');
+const AnalysisRun = require('../models/AnalysisRun');
+const { modelForTask } = require('./llm');
+const { hashText } = require('./submissionText');
+const { analyzeSubmission, FEEDBACK_PROMPT_VERSION, FEEDBACK_TEMPERATURE } = require('./aiFeedback');
+const { gradeSubmission, GRADING_PROMPT_VERSION, GRADING_TEMPERATURE } = require('./aiGrading');
+const { StructuredOutputError } = require('./structuredOutput');
+
+// Fields left out of run listings (large)
+const RUN_DETAIL_FIELDS = '-rawOutputs -inlineComments -unplacedComments -draftGrade';
+
+// Token usage summed over every attempt ([{ usage }] as returned by completeStructured)
+const sumUsage = (responses) => responses.reduce((total, { usage }) => ({
+  promptTokens: total.promptTokens + (usage?.prompt_tokens || 0),
+  completionTokens: total.completionTokens + (usage?.completion_tokens || 0),
+  totalTokens: total.totalTokens + (usage?.total_tokens || 0),
+}), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+// Runs feedback analysis on a submission's text and stores the run (also when the model's output
+// could not be used). Returns { run, analysis } with each suggested comment carrying its
+// analysisRun and suggestion ids; rethrows analysis errors.
+async function runFeedbackAnalysis({ submission, assignment, text, user, meter }) {
+  const context = {
+    submission: submission._id,
+    assignment: assignment?._id || null,
+    requestedBy: user.id,
+    kind: 'feedback',
+    promptVersion: FEEDBACK_PROMPT_VERSION,
+    contentHash: hashText(text),
+  };
+
+  let analysis;
+  try {
+    analysis = await analyzeSubmission(text, { meter });
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      await AnalysisRun.create({
+        ...context,
+        status: 'failed',
+        error: `${error.message} ${error.problems.slice(0, 10).join('; ')}`,
+        model: modelForTask('feedback'),
+        parameters: { temperature: FEEDBACK_TEMPERATURE, attempts: error.responses.length },
+        rawOutputs: error.responses.map(response => response.text || ''),
+        usage: sumUsage(error.responses),
+      }).catch(recordError => console.error('Could not record failed analysis run:', recordError.message));
+    }
+    throw error;
+  }
+
+  const { run: details, ...suggestions } = analysis;
+  const run = await AnalysisRun.create({
+    ...context,
+    provider: details.provider,
+    model: details.model,
+    parameters: details.parameters,
+    rawOutputs: details.responses.map(response => response.text || ''),
+    overallFeedback: suggestions.suggestedOverallFeedback,
+    inlineComments: suggestions.suggestedInlineComments,
+    unplacedComments: suggestions.unplacedComments,
+    usage: sumUsage(details.responses),
+  });
+
+  suggestions.suggestedInlineComments = run.inlineComments.map(comment => ({
+    ...comment.toObject(),
+    _id: undefined,
+    analysisRun: run._id,
+    suggestion: comment._id,
+  }));
+  return { run, analysis: suggestions };
+}
+
+// Grades a submission's text against the rubric and stores the run (also when the model's output
+// could not be used). Returns { run, draft }; rethrows grading errors.
+async function runGradingAnalysis({ submission, assignment, rubric, text, user, meter }) {
+  const context = {
+    submission: submission._id,
+    assignment: assignment?._id || null,
+    requestedBy: user.id,
+    kind: 'grading',
+    promptVersion: GRADING_PROMPT_VERSION,
+    contentHash: hashText(text),
+  };
+
+  let grading;
+  try {
+    grading = await gradeSubmission(text, { assignment, rubric, meter });
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      await AnalysisRun.create({
+        ...context,
+        status: 'failed',
+        error: `${error.message} ${error.problems.slice(0, 10).join('; ')}`,
+        model: modelForTask('grading'),
+        parameters: { temperature: GRADING_TEMPERATURE, attempts: error.responses.length },
+        rawOutputs: error.responses.map(response => response.text || ''),
+        usage: sumUsage(error.responses),
+      }).catch(recordError => console.error('Could not record failed grading run:', recordError.message));
+    }
+    throw error;
+  }
+
+  const { run: details, draft } = grading;
+  const run = await AnalysisRun.create({
+    ...context,
+    provider: details.provider,
+    model: details.model,
+    parameters: details.parameters,
+    rawOutputs: details.responses.map(response => response.text || ''),
+    draftGrade: draft,
+    usage: sumUsage(details.responses),
+  });
+  return { run, draft };
+}
+
+// --- Comparing runs ---
+
+const overlaps = (a, b) => a.startIndex < b.endIndex && b.startIndex < a.endIndex;
+
+const runSummary = (run) => ({
+  _id: run._id,
+  kind: run.kind,
+  status: run.status,
+  createdAt: run.createdAt,
+  requestedBy: run.requestedBy,
+  provider: run.provider,
+  model: run.model,
+  promptVersion: run.promptVersion,
+  parameters: run.parameters,
+  contentHash: run.contentHash,
+  usage: run.usage,
+});
+
+// Side-by-side view of two runs on the same submission: overall feedback per field, and inline
+// comments paired up when their ranges overlap
+function compareRuns(a, b) {
+  const fields = ['strengths', 'improvements', 'actionItems'];
+  const overallFeedback = Object.fromEntries(fields.map((field) => {
+    const first = a.overallFeedback?.[field] || '';
+    const second = b.overallFeedback?.[field] || '';
+    return [field, { a: first, b: second, changed: first.trim() !== second.trim() }];
+  }));
+
+  const remaining = [...(b.inlineComments || [])];
+  const matched = [];
+  const onlyInA = [];
+  (a.inlineComments || []).forEach((comment) => {
+    const index = remaining.findIndex(other => overlaps(comment, other));
+    if (index === -1) onlyInA.push(comment);
+    else matched.push({ a: comment, b: remaining.splice(index, 1)[0] });
+  });
+
+  return {
+    runs: { a: runSummary(a), b: runSummary(b) },
+    sameText: Boolean(a.contentHash) && a.contentHash === b.contentHash,
+    differences: ['model', 'promptVersion'].filter(field => a[field] !== b[field])
+      .concat(a.parameters?.temperature !== b.parameters?.temperature ? ['temperature'] : []),
+    overallFeedback,
+    inlineComments: { matched, onlyInA, onlyInB: remaining },
+    draftGrades: a.kind === 'grading' || b.kind === 'grading' ? { a: a.draftGrade || null, b: b.draftGrade || null } : undefined,
+  };
+}
+
+// --- Provenance of AI inline comments ---
+
+// Checks incoming Submission.inlineComments before they replace `existing`. Comments marked
+// isAIGenerated must name a feedback run of this submission (analysisRun, optionally the
+// suggestion id within it). Comments saved before runs were recorded keep working unchanged.
+// Returns a list of problems.
+async function inlineCommentProvenanceProblems(submissionId, existing, incoming) {
+  const problems = [];
+  const legacyIds = new Set((existing || []).filter(c => c.isAIGenerated && !c.analysisRun).map(c => c._id.toString()));
+  const aiComments = incoming.filter(comment => comment.isAIGenerated);
+
+  const runIds = [...new Set(aiComments.map(c => c.analysisRun).filter(Boolean).map(String))];
+  if (runIds.some(id => !mongoose.Types.ObjectId.isValid(id))) return ['Invalid analysisRun ID format.'];
+  const runs = await AnalysisRun.find({ _id: { $in: runIds }, submission: submissionId, kind: 'feedback', status: 'succeeded' })
+    .select('inlineComments._id')
+    .lean();
+  const suggestionsByRun = new Map(runs.map(run => [run._id.toString(), new Set((run.inlineComments || []).map(c => c._id.toString()))]));
+
+  aiComments.forEach((comment, index) => {
+    const label = `AI comment ${index + 1}`;
+    if (!comment.analysisRun) {
+      const id = comment._id || comment.id; // Submissions are served with `id` instead of `_id`
+      if (!id || !legacyIds.has(String(id))) problems.push(`${label}: AI-generated comments must reference the analysis run that suggested them (analysisRun).`);
+      return;
+    }
+    const suggestions = suggestionsByRun.get(String(comment.analysisRun));
+    if (!suggestions) problems.push(`${label}: analysisRun is not an analysis of this submission.`);
+    else if (comment.suggestion && !suggestions.has(String(comment.suggestion))) problems.push(`${label}: suggestion is not part of that analysis run.`);
+  });
+  return problems;
+}
+
+module.exports = {
+  RUN_DETAIL_FIELDS,
+  runFeedbackAnalysis,
+  runGradingAnalysis,
+  compareRuns,
+  inlineCommentProvenanceProblems,
+};
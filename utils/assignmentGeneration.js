@@ -0,0 +1,257 @@
+// backend/utils/assignmentGeneration.js
+// AI assignment generation (POST /api/assignment/generate). The prompt is built from the
+// assignment type, learning objectives, course syllabus and grade level; the model answers with
+// JSON (instructions, a rubric whose criteria map to the objectives, exemplar answers) that is
+// checked here before it is returned or saved as a draft assignment with a library rubric.
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Rubric = require('../models/Rubric');
+const { validateRubric, sanitizeCriteria, rubricTotalPoints } = require('./rubric');
+
+const ASSIGNMENT_TYPES = Assignment.schema.path('type').enumValues;
+const MAX_OBJECTIVES = 12;
+const MAX_EXEMPLARS = 3;
+const MAX_SYLLABUS_CHARS = 4000; // Keeps long syllabi from crowding out the instructions
+
+const text = { type: 'string' };
+const points = { type: 'number', minimum: 0 };
+const closedObject = (properties) => ({ type: 'object', properties, required: Object.keys(properties), additionalProperties: false });
+
+// Shape of the model's answer (utils/structuredOutput.js); validateGeneratedAssignment adds the
+// rules a schema cannot express (objective coverage, point totals, level ranges)
+const GENERATION_SCHEMA = {
+  name: 'generated_assignment',
+  schema: closedObject({
+    title: text,
+    description: text,
+    instructions: text,
+    rubric: closedObject({
+      title: text,
+      criteria: {
+        type: 'array',
+        items: closedObject({
+          name: text,
+          description: text,
+          maxPoints: points,
+          objectives: { type: 'array', items: { type: 'integer', minimum: 1 } },
+          levels: { type: 'array', items: closedObject({ label: text, minPoints: points, maxPoints: points, descriptor: text }) },
+        }),
+      },
+    }),
+    exemplars: { type: 'array', items: closedObject({ level: text, answer: text, commentary: text }) },
+  }),
+};
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Objectives arrive as an array or as one string with one objective per line ("- ", "1." bullets allowed)
+function parseObjectives(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/\r?\n/) : []);
+  return items
+    .map(item => (typeof item === 'string' ? item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim() : ''))
+    .filter(Boolean);
+}
+
+// --- Request ---
+
+// Body: { type, learningObjectives, gradeLevel, courseId, topic, totalPoints, exemplarCount }
+// Returns { options } or { errors }
+function parseGenerationRequest(body = {}) {
+  const errors = [];
+  const { type, gradeLevel, courseId, topic } = body;
+  const objectives = parseObjectives(body.learningObjectives);
+  const totalPoints = body.totalPoints ?? 100;
+  const exemplarCount = body.exemplarCount ?? 2;
+
+  if (!ASSIGNMENT_TYPES.includes(type)) errors.push(`type must be one of: ${ASSIGNMENT_TYPES.join(', ')}.`);
+  if (!objectives.length) errors.push('learningObjectives must contain at least one objective.');
+  if (objectives.length > MAX_OBJECTIVES) errors.push(`At most ${MAX_OBJECTIVES} learning objectives are supported.`);
+  if (!isText(gradeLevel) || gradeLevel.length > 60) errors.push('gradeLevel is required (e.g. "Grade 10" or "First-year undergraduate").');
+  if (courseId !== undefined && courseId !== null && !mongoose.Types.ObjectId.isValid(courseId)) errors.push('Invalid course ID format.');
+  if (topic !== undefined && topic !== null && typeof topic !== 'string') errors.push('topic must be a string.');
+  if (typeof totalPoints !== 'number' || !(totalPoints > 0)) errors.push('totalPoints must be a number greater than 0.');
+  if (!Number.isInteger(exemplarCount) || exemplarCount < 1 || exemplarCount > MAX_EXEMPLARS) errors.push(`exemplarCount must be a whole number from 1 to ${MAX_EXEMPLARS}.`);
+  if (errors.length) return { errors };
+
+  return {
+    options: {
+      type,
+      objectives,
+      gradeLevel: gradeLevel.trim(),
+      courseId: courseId || null,
+      topic: isText(topic) ? topic.trim() : null,
+      totalPoints,
+      exemplarCount,
+    },
+  };
+}
+
+// --- Prompt ---
+
+// Course.syllabus is free-form (text or JSON from the course editor)
+function syllabusText(syllabus) {
+  if (!syllabus) return '';
+  const text = typeof syllabus === 'string' ? syllabus : JSON.stringify(syllabus, null, 1);
+  return text.length > MAX_SYLLABUS_CHARS ? `${text.slice(0, MAX_SYLLABUS_CHARS)}\n[syllabus truncated]` : text;
+}
+
+function buildGenerationPrompt(options, syllabus) {
+  const syllabusSection = syllabusText(syllabus);
+  return `
+    You are an experienced teacher designing a ${options.type.replace(/_/g, ' ')} assignment for ${options.gradeLevel} students.
+    Every rubric criterion must assess one or more of the numbered learning objectives, and every objective must be assessed by at least one criterion.
+    The criteria maxPoints must add up to exactly ${options.totalPoints}. Give each criterion 3 or 4 performance levels, highest first, whose point ranges lie within 0..maxPoints and do not overlap.
+    Write ${options.exemplarCount} exemplar answer(s) at different performance levels, each with a short commentary linking it to the rubric.
+
+    Respond *only* with JSON in this shape:
+    {
+      "title": "Assignment title",
+      "description": "One-paragraph summary for the course page",
+      "instructions": "Full student-facing instructions",
+      "rubric": {
+        "title": "Rubric title",
+        "criteria": [
+          { "name": "Criterion name", "description": "What is assessed", "maxPoints": 25, "objectives": [1],
+            "levels": [ { "label": "Exemplary", "minPoints": 22, "maxPoints": 25, "descriptor": "What work at this level looks like" } ] }
+        ]
+      },
+      "exemplars": [ { "level": "Exemplary", "answer": "Exemplar answer text", "commentary": "Why it earns this level" } ]
+    }
+
+    ASSIGNMENT TYPE: ${options.type}
+    GRADE LEVEL: ${options.gradeLevel}
+    TOTAL POINTS: ${options.totalPoints}
+    EXEMPLARS: ${options.exemplarCount}
+    ${options.topic ? `TOPIC: ${options.topic}` : ''}
+    LEARNING OBJECTIVES (JSON): ${JSON.stringify(options.objectives)}
+    ${syllabusSection ? `COURSE SYLLABUS:\n${syllabusSection}` : ''}
+  `;
+}
+
+// --- Output ---
+
+// Criterion objectives may be 1-based numbers (model output) or the objective text (edited drafts)
+function resolveObjective(ref, objectives) {
+  if (typeof ref === 'number') return Number.isInteger(ref) && ref >= 1 && ref <= objectives.length ? objectives[ref - 1] : null;
+  if (typeof ref === 'string') return objectives.find(objective => objective.toLowerCase() === ref.trim().toLowerCase()) || null;
+  return null;
+}
+
+// Checks generated output against the expected shape. Returns { generated } (normalized, with
+// criterion objectives as text) or { errors }.
+function validateGeneratedAssignment(output, { type, gradeLevel, objectives, totalPoints }) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) return { errors: ['Response must be a JSON object.'] };
+  const errors = [];
+  ['title', 'description', 'instructions'].forEach((field) => {
+    if (!isText(output[field])) errors.push(`${field} is required.`);
+  });
+
+  const rubric = output.rubric;
+  const criteria = Array.isArray(rubric?.criteria) ? rubric.criteria : null;
+  if (!criteria) {
+    errors.push('rubric.criteria must be an array.');
+  } else {
+    errors.push(...validateRubric({ title: isText(rubric.title) ? rubric.title : `${output.title} rubric`, criteria }).map(error => `rubric: ${error}`));
+    const covered = new Set();
+    criteria.forEach((criterion, index) => {
+      const label = criterion?.name ? `Criterion "${criterion.name}"` : `Criterion ${index + 1}`;
+      const refs = Array.isArray(criterion?.objectives) ? criterion.objectives : [];
+      const resolved = refs.map(ref => resolveObjective(ref, objectives));
+      if (!refs.length) errors.push(`rubric: ${label} must list the learning objectives it assesses.`);
+      else if (resolved.includes(null)) errors.push(`rubric: ${label} refers to an unknown learning objective.`);
+      resolved.filter(Boolean).forEach(objective => covered.add(objective));
+    });
+    objectives.forEach((objective, index) => {
+      if (!covered.has(objective)) errors.push(`rubric: learning objective ${index + 1} ("${objective}") is not assessed by any criterion.`);
+    });
+    const sum = criteria.reduce((total, criterion) => total + (Number(criterion?.maxPoints) || 0), 0);
+    if (Math.abs(sum - totalPoints) > 0.01) errors.push(`rubric: criteria maxPoints add up to ${Math.round(sum * 100) / 100}, expected ${totalPoints}.`);
+  }
+
+  const exemplars = output.exemplars;
+  if (!Array.isArray(exemplars) || !exemplars.length) {
+    errors.push('exemplars must be a non-empty array.');
+  } else {
+    exemplars.forEach((exemplar, index) => {
+      if (!isText(exemplar?.level) || !isText(exemplar?.answer)) errors.push(`exemplars[${index}]: level and answer are required.`);
+    });
+  }
+  if (errors.length) return { errors };
+
+  return {
+    generated: {
+      type,
+      gradeLevel,
+      totalPoints,
+      learningObjectives: objectives,
+      title: output.title.trim(),
+      description: output.description.trim(),
+      instructions: output.instructions.trim(),
+      rubric: {
+        title: isText(rubric.title) ? rubric.title.trim() : `${output.title.trim()} rubric`,
+        criteria: sanitizeCriteria(criteria).map((criterion, index) => ({
+          ...criterion,
+          objectives: [...new Set(criteria[index].objectives.map(ref => resolveObjective(ref, objectives)))],
+        })),
+      },
+      exemplars: exemplars.map(({ level, answer, commentary }) => ({
+        level: level.trim(),
+        answer: answer.trim(),
+        commentary: isText(commentary) ? commentary.trim() : '',
+      })),
+    },
+  };
+}
+
+// Re-checks a generated assignment sent back by the client (possibly edited) before saving it
+function validateGeneratedDraft(generated) {
+  if (!generated || typeof generated !== 'object') return { errors: ['generated is required.'] };
+  const { type, gradeLevel, totalPoints } = generated;
+  const objectives = parseObjectives(generated.learningObjectives);
+  const errors = [];
+  if (!ASSIGNMENT_TYPES.includes(type)) errors.push(`type must be one of: ${ASSIGNMENT_TYPES.join(', ')}.`);
+  if (!objectives.length) errors.push('learningObjectives must contain at least one objective.');
+  if (typeof totalPoints !== 'number' || !(totalPoints > 0)) errors.push('totalPoints must be a number greater than 0.');
+  if (errors.length) return { errors };
+  return validateGeneratedAssignment(generated, { type, gradeLevel: isText(gradeLevel) ? gradeLevel.trim() : null, objectives, totalPoints });
+}
+
+// Saves a validated generated assignment as an unpublished draft in `course`, with its rubric
+// added to the user's rubric library. Returns { assignment, rubric }.
+async function saveGeneratedDraft(generated, { course, userId, dueDate = null }) {
+  const rubric = await Rubric.create({
+    title: generated.rubric.title,
+    description: `Generated for "${generated.title}"${generated.gradeLevel ? ` (${generated.gradeLevel})` : ''}.`,
+    owner: userId,
+    criteria: generated.rubric.criteria,
+  });
+  try {
+    const assignment = await Assignment.create({
+      type: generated.type,
+      title: generated.title,
+      course: course._id,
+      dueDate,
+      description: generated.description,
+      learningObjectives: generated.learningObjectives.join('\n'),
+      content: { instructions: generated.instructions, exemplars: generated.exemplars, gradeLevel: generated.gradeLevel },
+      totalPoints: rubricTotalPoints(rubric),
+      rubric: rubric._id,
+      status: 'draft',
+      createdBy: userId,
+    });
+    return { assignment, rubric };
+  } catch (error) {
+    await Rubric.deleteOne({ _id: rubric._id }); // Don't leave an orphaned rubric in the library
+    throw error;
+  }
+}
+
+module.exports = {
+  ASSIGNMENT_TYPES,
+  GENERATION_SCHEMA,
+  parseGenerationRequest,
+  buildGenerationPrompt,
+  validateGeneratedAssignment,
+  validateGeneratedDraft,
+  saveGeneratedDraft,
+};
@@ -0,0 +1,50 @@
+// backend/utils/attempts.js
+// Groups submissions into numbered attempts and keeps Submission.isGradedAttempt in
+// sync with the assignment's gradedAttempt policy (latest, highest or instructor-picked).
+const Submission = require('../models/Submission');
+
+// Every attempt by the same student on the same assignment shares this filter
+const attemptGroupFilter = (submission) => ({
+  assignmentId: submission.assignmentId?._id || submission.assignmentId,
+  submittedBy: submission.submittedBy?._id || submission.submittedBy,
+  studentName: submission.studentName ?? null,
+});
+
+// One past the highest attempt number in the group (not the count, so numbers stay unique after a deletion)
+async function nextAttemptNumber(groupFilter) {
+  const last = await Submission.findOne(groupFilter).select('attemptNumber').sort({ attemptNumber: -1 }).lean();
+  return (last?.attemptNumber || 0) + 1;
+}
+
+function pickGradedAttempt(attempts, policy) {
+  if (!attempts.length) return null;
+  const latest = attempts[attempts.length - 1];
+
+  if (policy === 'highest') {
+    const scored = attempts.filter(a => typeof a.score === 'number');
+    if (!scored.length) return latest;
+    // Prefer the later attempt when scores tie
+    return scored.reduce((best, a) => (a.score >= best.score ? a : best));
+  }
+  if (policy === 'instructor') {
+    return attempts.find(a => a.instructorSelected) || latest;
+  }
+  return latest;
+}
+
+// Recompute which attempt in a group counts. Call after a new attempt, a score change or an instructor pick.
+async function refreshGradedAttempt(groupFilter, policy) {
+  const attempts = await Submission.find(groupFilter)
+    .select('_id attemptNumber score instructorSelected submissionDate')
+    .sort({ attemptNumber: 1, submissionDate: 1 })
+    .lean();
+
+  const chosen = pickGradedAttempt(attempts, policy);
+  if (!chosen) return null;
+
+  await Submission.updateMany({ ...groupFilter, _id: { $ne: chosen._id } }, { $set: { isGradedAttempt: false } });
+  await Submission.updateOne({ _id: chosen._id }, { $set: { isGradedAttempt: true } });
+  return chosen._id;
+}
+
+module.exports = { attemptGroupFilter, nextAttemptNumber, refreshGradedAttempt };
@@ -0,0 +1,121 @@
+// backend/utils/authTokens.js
+// Sessions: short-lived JWT access tokens plus rotating refresh tokens stored server-side
+// (models/RefreshToken.js).
+//
+// Access token claims: { id, type: 'access', tokenVersion }. Bumping User.tokenVersion
+// (logout everywhere, password change) invalidates every outstanding access token at once.
+//
+// Configuration (environment):
+//   JWT_SECRET                 signs access tokens
+//   ACCESS_TOKEN_TTL           access token lifetime, jsonwebtoken format (default 15m)
+//   REFRESH_TOKEN_TTL_DAYS     refresh token lifetime (default 30)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user._id.toString(), type: 'access', tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Returns the decoded claims of a valid access token; throws like jwt.verify otherwise
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'access' || !decoded.id) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return decoded;
+}
+
+async function createRefreshToken(user, req, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    userAgent: req?.get?.('user-agent')?.slice(0, 300) || null,
+    ip: req?.ip || null,
+  });
+  return { token, expiresAt };
+}
+
+// Response body for a new or refreshed session
+async function issueSession(user, req, family) {
+  const refresh = await createRefreshToken(user, req, family);
+  const token = signAccessToken(user);
+  const { exp } = jwt.decode(token) || {};
+  return {
+    token,
+    tokenExpiresAt: exp ? new Date(exp * 1000) : null,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt,
+  };
+}
+
+// Exchange a refresh token for a new session. Returns { user, session } or { error }.
+async function rotateRefreshToken(token, req) {
+  if (typeof token !== 'string' || !token) return { error: 'Refresh token required' };
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return { error: 'Invalid refresh token' };
+  if (stored.revokedAt) {
+    // A rotated token came back: someone else holds a copy. End every session of this login.
+    await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    console.warn(`Refresh token reuse detected for user ${stored.user}; revoked token family ${stored.family}.`);
+    return { error: 'Refresh token has been revoked' };
+  }
+  if (stored.expiresAt <= new Date()) return { error: 'Refresh token has expired' };
+
+  const user = await User.findById(stored.user).select('_id name email role tokenVersion');
+  if (!user) return { error: 'Invalid refresh token' };
+
+  const session = await issueSession(user, req, stored.family);
+  // Only one concurrent refresh may win; the loser's token is treated as reused
+  const { modifiedCount } = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: hashToken(session.refreshToken) } }
+  );
+  if (!modifiedCount) {
+    await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return { error: 'Refresh token has been revoked' };
+  }
+  return { user, session };
+}
+
+// Logout: revoke the token's whole family (this login on this device)
+async function revokeRefreshToken(token) {
+  if (typeof token !== 'string' || !token) return false;
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) }).select('family');
+  if (!stored) return false;
+  await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return true;
+}
+
+// Logout everywhere: revoke every refresh token and invalidate outstanding access tokens
+async function revokeAllSessions(userId) {
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,115 @@
+// backend/utils/chunking.js
+// Splits long submission text into chunks for AI calls, so long papers are judged as a whole
+// instead of by their introduction and don't overflow the model's context. Chunks follow
+// section headings where the text has them, then paragraphs, then sentences; every chunk keeps
+// its character offsets into the full text so results (inline comments, per-section scores)
+// can be mapped back to it.
+//
+// Configuration (environment):
+//   AI_CHUNK_MAX_CHARS   largest chunk sent in one prompt (default 6000)
+//   AI_MAX_CHUNKS        most chunks analyzed per document (default 12); longer documents are sampled
+
+const CHUNK_MAX_CHARS = parseInt(process.env.AI_CHUNK_MAX_CHARS, 10) || 6000;
+const MAX_CHUNKS = parseInt(process.env.AI_MAX_CHUNKS, 10) || 12;
+const MIN_SECTION_CHARS = 400; // Shorter sections are merged into the next one
+
+// A heading: a short line on its own that does not end like a sentence
+// ("2. Methods", "INTRODUCTION", "# Results", "Literature Review")
+const HEADING_PATTERN = /^[ \t]*(?:#{1,6}[ \t]+\S.{0,78}|(?:\d+(?:\.\d+)*\.?|[IVX]+\.)[ \t]+[A-Z].{0,70}|[A-Z][A-Za-z0-9 ,&:'()/-]{1,70})[ \t]*$/;
+
+// [{ start, end, heading }] covering the text, split before heading lines
+function findSections(text) {
+  const sections = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let current = { start: 0, heading: null };
+  let previousBlank = true;
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null && match[0] !== '') {
+    const line = match[0].replace(/\r?\n$/, '');
+    const isHeading = previousBlank && line.trim().length > 0 && HEADING_PATTERN.test(line) && !/[.,;]$/.test(line.trim());
+    if (isHeading && match.index > current.start) {
+      sections.push({ ...current, end: match.index });
+      current = { start: match.index, heading: null };
+    }
+    if (isHeading && match.index === current.start) current.heading = line.replace(/^[ \t]*#+[ \t]*/, '').trim();
+    previousBlank = line.trim().length === 0 || isHeading;
+  }
+  sections.push({ ...current, end: text.length });
+  return sections.filter(section => text.slice(section.start, section.end).trim());
+}
+
+// Ranges [{ start, end }] of at most maxChars covering start..end, cut at the latest paragraph
+// break, else sentence end, else whitespace before the limit
+function splitRange(text, start, end, maxChars) {
+  const ranges = [];
+  let from = start;
+  while (end - from > maxChars) {
+    const window = text.slice(from, from + maxChars);
+    const minCut = Math.floor(maxChars / 2); // Don't produce tiny pieces
+    const cuts = [/\n\s*\n/g, /[.!?]["')\]]?\s+/g, /\s+/g];
+    let cut = -1;
+    for (const pattern of cuts) {
+      let m;
+      while ((m = pattern.exec(window)) !== null) if (m.index + m[0].length >= minCut) cut = m.index + m[0].length;
+      if (cut !== -1) break;
+    }
+    if (cut === -1) cut = maxChars;
+    ranges.push({ start: from, end: from + cut });
+    from += cut;
+  }
+  ranges.push({ start: from, end });
+  return ranges;
+}
+
+// Returns [{ index, start, end, text, heading }] in document order. Short texts are one chunk.
+function chunkDocument(text, { maxChars = CHUNK_MAX_CHARS } = {}) {
+  if (!text) return [];
+  if (text.length <= maxChars) return [{ index: 0, start: 0, end: text.length, text, heading: null }];
+
+  // Merge short sections into the following one so chunks carry enough text to judge
+  const sections = [];
+  findSections(text).forEach((section) => {
+    const last = sections[sections.length - 1];
+    if (last && last.end - last.start < MIN_SECTION_CHARS && section.end - last.start <= maxChars) {
+      last.end = section.end;
+      last.heading = last.heading || section.heading;
+    } else {
+      sections.push({ ...section });
+    }
+  });
+  // ...and a short last section (e.g. references) into the one before it
+  const last = sections[sections.length - 1];
+  const beforeLast = sections[sections.length - 2];
+  if (beforeLast && last.end - last.start < MIN_SECTION_CHARS && last.end - beforeLast.start <= maxChars) {
+    beforeLast.end = last.end;
+    sections.pop();
+  }
+
+  const chunks = [];
+  sections.forEach((section) => {
+    const parts = splitRange(text, section.start, section.end, maxChars);
+    parts.forEach((part, i) => {
+      chunks.push({
+        start: part.start,
+        end: part.end,
+        heading: section.heading ? (parts.length > 1 ? `${section.heading} (part ${i + 1})` : section.heading) : null,
+      });
+    });
+  });
+  return chunks.map((chunk, index) => ({ index, ...chunk, text: text.slice(chunk.start, chunk.end) }));
+}
+
+// At most `max` chunks spread evenly over the document (always including the first and last)
+function sampleChunks(chunks, max = MAX_CHUNKS) {
+  if (chunks.length <= max) return chunks;
+  if (max <= 1) return chunks.slice(0, 1);
+  const picked = new Set();
+  for (let i = 0; i < max; i++) picked.add(Math.round((i * (chunks.length - 1)) / (max - 1)));
+  return [...picked].sort((a, b) => a - b).map(i => chunks[i]);
+}
+
+// Label for a chunk in results and prompts
+const chunkLabel = (chunk, total) => chunk.heading || `Part ${chunk.index + 1} of ${total} (characters ${chunk.start}-${chunk.end})`;
+
+module.exports = { CHUNK_MAX_CHARS, MAX_CHUNKS, chunkDocument, sampleChunks, chunkLabel };
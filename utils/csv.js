@@ -0,0 +1,65 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV parsing (quoted fields, embedded commas/newlines, "" escapes) and writing.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = (text || '').replace(/^\uFEFF/, ''); // Excel adds a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Header names are normalized ("Student Email" -> "studentemail") so lookups are forgiving
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Returns one object per data row, keyed by normalized header
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(normalizeHeader);
+  return rows.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = (values[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Text that spreadsheet apps would run as a formula gets a leading apostrophe
+const FORMULA_PREFIX = /^[=+@\t\r]|^-(?![\s\d])/;
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of arrays. CRLF line endings and a BOM so Excel reads UTF-8 correctly.
+const stringifyCsv = (rows) => '\uFEFF' + rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, parseCsvRecords, normalizeHeader, stringifyCsv };
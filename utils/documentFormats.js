@@ -0,0 +1,176 @@
+// backend/utils/documentFormats.js
+// Text extractors for the document formats beyond pdf/docx/plain text. Each takes a
+// Buffer and returns plain text with one paragraph per line (slides separated by a
+// "Slide N" heading). Used by the format dispatch in utils/textExtraction.js.
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Trim each line, collapse runs of spaces and of blank lines
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function loadZip(buffer, formatName) {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`The file is not a valid ${formatName} document (${error.message}).`);
+  }
+}
+
+// --- Word 97-2003 (.doc) ---
+async function extractDoc(buffer) {
+  let document;
+  try {
+    document = await new WordExtractor().extract(buffer);
+  } catch (error) {
+    throw new Error(`The file is not a valid Word 97-2003 document (${error.message}).`);
+  }
+  return tidyLines(document.getBody().replace(/\r\n?/g, '\n'));
+}
+
+// --- OpenDocument text (.odt) ---
+async function extractOdt(buffer) {
+  const zip = await loadZip(buffer, 'OpenDocument');
+  const contentFile = zip.file('content.xml');
+  if (!contentFile) throw new Error('The file is not a valid OpenDocument document (content.xml is missing).');
+  const xml = await contentFile.async('string');
+  const body = xml.slice(Math.max(xml.indexOf('<office:body'), 0));
+
+  const text = body
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '') // Reviewer comments
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (tag, count) => ' '.repeat(Math.min(parseInt(count, 10), 100)))
+    .replace(/<text:s\s*\/>/g, ' ')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+  return tidyLines(decodeEntities(text));
+}
+
+// --- PowerPoint (.pptx) ---
+async function extractPptx(buffer) {
+  const zip = await loadZip(buffer, 'PowerPoint');
+  // Slides are numbered in presentation order by PowerPoint (slide1.xml, slide2.xml, ...)
+  const slides = Object.keys(zip.files)
+    .map(name => ({ name, match: name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10));
+  if (!slides.length) throw new Error('The file is not a valid PowerPoint document (no slides found).');
+
+  const sections = [];
+  for (let i = 0; i < slides.length; i++) {
+    const xml = await zip.file(slides[i].name).async('string');
+    let slideText = '';
+    const pattern = /<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<\/a:p>|<a:br\b[^>]*\/>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      slideText += match[1] !== undefined ? decodeEntities(match[1]) : '\n';
+    }
+    sections.push(`Slide ${i + 1}\n${tidyLines(slideText)}`.trim());
+  }
+  return sections.join('\n\n');
+}
+
+// --- HTML ---
+const HTML_BLOCK_TAGS = 'p|div|br|hr|h[1-6]|ul|ol|tr|table|section|article|header|footer|blockquote|pre|dt|dd|figcaption';
+
+function extractHtml(buffer) {
+  const text = buffer.toString('utf-8')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<(td|th)\b[^>]*>/gi, '\t')
+    .replace(new RegExp(`</?(${HTML_BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\r\n?/g, '\n');
+  return tidyLines(decodeEntities(text.replace(/[ \t]*\n[ \t]*/g, '\n')));
+}
+
+// --- Rich Text Format (.rtf) ---
+// Groups that hold metadata, tables or embedded objects rather than document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'mmathPr',
+]);
+const RTF_CONTROL_WORD = /([a-z]+)(-?\d+)? ?/iy;
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+
+function extractRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+  if (!rtf.startsWith('{\\rtf')) throw new Error('The file is not a valid RTF document.');
+
+  let output = '';
+  let skip = false;
+  let unicodeSkip = 1; // \ucN: fallback characters that follow each \u escape
+  let pendingSkip = 0;
+  const stack = [];
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+    if (char === '{') {
+      stack.push({ skip, unicodeSkip });
+      continue;
+    }
+    if (char === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      continue;
+    }
+    if (char === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\'') { // \'hh: a character in the document code page (treated as Windows-1252/latin1)
+        const code = parseInt(rtf.substr(i + 2, 2), 16);
+        i += 3;
+        if (pendingSkip > 0) { pendingSkip--; continue; }
+        if (!skip && Number.isFinite(code)) output += String.fromCharCode(code);
+        continue;
+      }
+      if (next === '*') { skip = true; i++; continue; }
+      if (!/[a-z]/i.test(next || '')) { // Control symbol: \\ \{ \} \~ \- ...
+        i++;
+        if (!skip) output += next === '~' ? '\u00a0' : (['\\', '{', '}'].includes(next) ? next : '');
+        continue;
+      }
+      RTF_CONTROL_WORD.lastIndex = i + 1;
+      const word = RTF_CONTROL_WORD.exec(rtf);
+      i += word[0].length;
+      const [, name, param] = word;
+      if (RTF_SKIP_DESTINATIONS.has(name)) skip = true;
+      else if (name === 'uc') unicodeSkip = parseInt(param, 10) || 0;
+      else if (name === 'u') {
+        let code = parseInt(param, 10);
+        if (code < 0) code += 65536;
+        if (!skip) output += String.fromCharCode(code);
+        pendingSkip = unicodeSkip;
+      } else if (!skip && RTF_SYMBOLS[name]) output += RTF_SYMBOLS[name];
+      continue;
+    }
+    if (char === '\r' || char === '\n') continue; // Line breaks in RTF source are not text
+    if (pendingSkip > 0) { pendingSkip--; continue; }
+    if (!skip) output += char;
+  }
+  return tidyLines(output);
+}
+
+module.exports = { extractDoc, extractOdt, extractPptx, extractHtml, extractRtf };
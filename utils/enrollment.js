@@ -0,0 +1,190 @@
+// backend/utils/enrollment.js
+// Course rosters: CSV roster import, invite codes (one per rostered student, single use),
+// course join codes (shared, reusable until the instructor disables them) and sections.
+//
+// Course.students stays the access list; Course.roster adds name, email, student number and
+// section per student, plus pending entries for people who have not registered yet.
+// An invite code only works for the account with the entry's email, and the roster's student
+// number is copied onto an account only once that account has verified the address.
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const User = require('../models/User');
+
+// No 0/O or 1/I so codes survive being read aloud or copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase().replace(/[\s-]/g, '') : '');
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Roster entry of a user, falling back to a pending entry with the same email
+function findRosterEntry(course, user) {
+  const userId = idOf(user);
+  const email = normalizeEmail(user.email);
+  return course.roster.find(entry => idOf(entry.user) === userId)
+    || (email ? course.roster.find(entry => !entry.user && entry.email === email) : undefined);
+}
+
+// Enroll a user in a (non-lean) course document; the caller saves the course
+function enrollUser(course, user, { section, entry } = {}) {
+  if (!course.students.some(id => idOf(id) === idOf(user))) course.students.push(user._id);
+
+  let rosterEntry = entry || findRosterEntry(course, user);
+  if (!rosterEntry) {
+    course.roster.push({ name: user.name, email: normalizeEmail(user.email), studentId: user.studentId || null });
+    rosterEntry = course.roster[course.roster.length - 1];
+  }
+  rosterEntry.user = user._id;
+  rosterEntry.status = 'active';
+  rosterEntry.inviteCode = null; // Invite codes are single use
+  rosterEntry.joinedAt = rosterEntry.joinedAt || new Date();
+  if (section !== undefined) rosterEntry.section = section || null;
+  return rosterEntry;
+}
+
+// Remove a student from the course and its roster; submissions are kept
+function unenrollUser(course, userId) {
+  const id = idOf(userId);
+  const wasEnrolled = course.students.some(student => idOf(student) === id);
+  course.students = course.students.filter(student => idOf(student) !== id);
+  course.roster = course.roster.filter(entry => idOf(entry.user) !== id);
+  return wasEnrolled;
+}
+
+// Course (and roster entry, for invite codes) a code belongs to, or null
+async function findCourseByCode(rawCode) {
+  const code = normalizeCode(rawCode);
+  if (code.length !== CODE_LENGTH) return null;
+
+  const invited = await Course.findOne({ 'roster.inviteCode': code });
+  if (invited) return { course: invited, entry: invited.roster.find(entry => entry.inviteCode === code) };
+  const course = await Course.findOne({ joinCode: code });
+  return course ? { course, entry: null } : null;
+}
+
+// The roster's student number is the institution's record; keep it on the account if none is set
+async function copyRosterStudentId(user, studentId) {
+  if (!studentId || user.studentId || !user.emailVerified) return;
+  await User.updateOne({ _id: user._id, studentId: null }, { $set: { studentId } });
+}
+
+// After a user verifies their email: take the student number from a roster entry for that address
+async function applyRosterStudentId(user) {
+  const course = await Course.findOne({ roster: { $elemMatch: { user: user._id, email: normalizeEmail(user.email), studentId: { $ne: null } } } }).select('roster').lean();
+  const entry = course?.roster.find(item => idOf(item.user) === idOf(user) && item.studentId);
+  if (entry) await copyRosterStudentId(user, entry.studentId);
+}
+
+// Redeem an invite or join code for a user (needs email, studentId and emailVerified).
+// Returns { course, alreadyEnrolled } or { error, status }.
+async function redeemCode(rawCode, user) {
+  const match = await findCourseByCode(rawCode);
+  if (!match) return { error: 'Invalid or expired course code.', status: 404 };
+
+  const { course, entry } = match;
+  if (course.archived) return { error: 'This course is archived and no longer accepts students.', status: 400 };
+  const userId = idOf(user);
+  if (idOf(course.instructor) === userId || course.teachingAssistants.some(ta => idOf(ta) === userId)) {
+    return { error: 'Course staff cannot enroll as students.', status: 400 };
+  }
+  // Invite codes are personal: the roster entry (name, section, student number) belongs to that address
+  if (entry && entry.email !== normalizeEmail(user.email)) {
+    return { error: 'This invite code was issued for a different email address. Sign in with that address or ask your instructor for the course join code.', status: 403 };
+  }
+
+  const alreadyEnrolled = course.students.some(id => idOf(id) === userId);
+  enrollUser(course, user, { entry: entry || undefined });
+  await course.save();
+
+  await copyRosterStudentId(user, entry?.studentId);
+  return { course, alreadyEnrolled };
+}
+
+// Roster CSV columns (headers normalized by utils/csv.js)
+const ROSTER_COLUMNS = {
+  name: ['name', 'studentname', 'fullname'],
+  email: ['email', 'studentemail', 'emailaddress'],
+  studentId: ['studentnumber', 'studentid', 'idnumber', 'sisid', 'sisuserid'],
+  section: ['section', 'sectionname'],
+};
+const pickColumn = (record, keys) => keys.map(key => record[key]).find(value => value) || '';
+
+// Apply roster rows to a (non-lean) course: registered students are enrolled straight away,
+// everyone else gets a pending entry with an invite code. The caller saves the course.
+// Returns one report item per row: { row, email, status: enrolled|invited|updated|skipped, ... }
+async function importRoster(course, records) {
+  const rows = records.map((record, index) => ({
+    row: index + 2, // Spreadsheet row number (header is row 1)
+    name: pickColumn(record, ROSTER_COLUMNS.name),
+    email: normalizeEmail(pickColumn(record, ROSTER_COLUMNS.email)),
+    studentId: pickColumn(record, ROSTER_COLUMNS.studentId) || null,
+    section: pickColumn(record, ROSTER_COLUMNS.section) || null,
+  }));
+
+  const emails = rows.map(row => row.email).filter(Boolean);
+  const users = await User.find({ email: { $in: [...new Set(emails)] } }).select('_id name email role studentId emailVerified');
+  const userByEmail = new Map(users.map(user => [normalizeEmail(user.email), user]));
+  const staffIds = new Set([idOf(course.instructor), ...course.teachingAssistants.map(idOf)]);
+
+  const seen = new Set();
+  const report = [];
+  for (const row of rows) {
+    const item = { row: row.row, email: row.email || null, name: row.name || null };
+    if (!row.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.email)) {
+      report.push({ ...item, status: 'skipped', reason: 'Missing or invalid email address.' });
+      continue;
+    }
+    if (seen.has(row.email)) {
+      report.push({ ...item, status: 'skipped', reason: 'Duplicate email in the roster file.' });
+      continue;
+    }
+    seen.add(row.email);
+
+    const user = userByEmail.get(row.email);
+    if (user && staffIds.has(idOf(user))) {
+      report.push({ ...item, status: 'skipped', reason: 'This person is on the course staff.' });
+      continue;
+    }
+
+    let entry = course.roster.find(existing => existing.email === row.email || (user && idOf(existing.user) === idOf(user)));
+    const existed = Boolean(entry);
+    if (!entry) {
+      course.roster.push({ email: row.email });
+      entry = course.roster[course.roster.length - 1];
+    }
+    entry.name = row.name || entry.name || user?.name || null;
+    if (row.studentId) entry.studentId = row.studentId;
+    if (row.section) entry.section = row.section;
+
+    if (user) {
+      const wasEnrolled = course.students.some(id => idOf(id) === idOf(user));
+      enrollUser(course, user, { entry });
+      await copyRosterStudentId(user, row.studentId);
+      report.push({ ...item, status: wasEnrolled ? 'updated' : 'enrolled', userId: user._id, section: entry.section });
+    } else {
+      if (!entry.inviteCode) {
+        entry.inviteCode = generateCode();
+        entry.invitedAt = new Date();
+      }
+      report.push({ ...item, status: existed ? 'updated' : 'invited', inviteCode: entry.inviteCode, section: entry.section });
+    }
+  }
+  return report;
+}
+
+// Map of user id -> section name for enrolled students
+const sectionsByStudent = (course) => new Map((course.roster || []).filter(entry => entry.user).map(entry => [idOf(entry.user), entry.section || null]));
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  enrollUser,
+  unenrollUser,
+  findCourseByCode,
+  redeemCode,
+  applyRosterStudentId,
+  importRoster,
+  sectionsByStudent,
+};
@@ -0,0 +1,176 @@
+// backend/utils/gradeExport.js
+// Grade exports (CSV / XLSX) for an assignment or a whole course, laid out for import into
+// an LMS gradebook:
+//   generic   - Student Name, Student ID, Email, one column per assignment
+//   canvas    - Canvas gradebook import (Student, ID, SIS User ID, SIS Login ID, Section + "Points Possible" row)
+//   moodle    - Moodle "Import grades from CSV" (matched on ID number or Email address)
+//   classroom - Google Classroom grade import (matched on Email Address)
+// Students are identified by User.studentId (institution student number) and email.
+const ExcelJS = require('exceljs');
+const { stringifyCsv } = require('./csv');
+
+const EXPORT_LAYOUTS = ['generic', 'canvas', 'moodle', 'classroom'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function splitName(name) {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return { first: parts[0] || '', last: '' };
+  return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+}
+
+function feedbackText(submission) {
+  const overall = submission?.overallFeedback || {};
+  const parts = [
+    overall.strengths && `Strengths: ${overall.strengths}`,
+    overall.improvements && `Improvements: ${overall.improvements}`,
+    overall.actionItems && `Action items: ${overall.actionItems}`,
+    submission?.feedback,
+  ].filter(Boolean);
+  return parts.join('\n');
+}
+
+// Per-layout identity columns and column titles
+const LAYOUTS = {
+  generic: {
+    identity: ['Student Name', 'Student ID', 'Email'],
+    identify: (student) => [student.name || '', student.studentId || '', student.email || ''],
+    grade: (assignment) => `${assignment.title} (${assignment.totalPoints} pts)`,
+    subScore: (assignment, name, maxScore) => `${assignment.title} - ${name} (${maxScore} pts)`,
+    feedback: (assignment) => `${assignment.title} - Feedback`,
+    totals: ['Course %', 'Letter Grade'],
+  },
+  canvas: {
+    identity: ['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section'],
+    // Canvas' own ID is unknown here; its importer falls back to the SIS columns
+    identify: (student) => {
+      const { first, last } = splitName(student.name);
+      return [last ? `${last}, ${first}` : first, '', student.studentId || '', student.email || '', student.section || ''];
+    },
+    grade: (assignment) => assignment.title,
+    subScore: (assignment, name) => `${assignment.title} - ${name}`,
+    feedback: (assignment) => `${assignment.title} - Feedback`,
+    pointsRow: true,
+    totals: null, // Canvas computes course totals itself
+  },
+  moodle: {
+    identity: ['First name', 'Last name', 'ID number', 'Email address'],
+    identify: (student) => {
+      const { first, last } = splitName(student.name);
+      return [first, last, student.studentId || '', student.email || ''];
+    },
+    grade: (assignment) => `Assignment: ${assignment.title} (Real)`,
+    subScore: (assignment, name) => `Assignment: ${assignment.title} - ${name} (Real)`,
+    feedback: (assignment) => `Feedback: Assignment: ${assignment.title}`,
+    totals: ['Course total (Percentage)', 'Course total (Letter)'],
+  },
+  classroom: {
+    identity: ['Last Name', 'First Name', 'Email Address'],
+    identify: (student) => {
+      const { first, last } = splitName(student.name);
+      return [last, first, student.email || ''];
+    },
+    grade: (assignment) => assignment.title,
+    subScore: (assignment, name) => `${assignment.title} - ${name}`,
+    feedback: (assignment) => `${assignment.title} - Feedback`,
+    totals: null,
+  },
+};
+
+// Returns the sheet as an array of rows (the first row is the header).
+// students: [{ _id, name, email, studentId }]; submissions: graded attempts, with subScores and
+// feedback when requested; totals (course exports): Map of student id -> { percent, letter }.
+function buildGradeRows({ layout = 'generic', assignments, students, submissions, includeSubScores = false, includeFeedback = false, totals = null }) {
+  const spec = LAYOUTS[layout];
+  const submissionFor = new Map();
+  submissions.forEach((submission) => {
+    const key = `${submission.submittedBy.toString()}:${submission.assignmentId.toString()}`;
+    const existing = submissionFor.get(key);
+    if (!existing || (typeof existing.score !== 'number' && typeof submission.score === 'number')) submissionFor.set(key, submission);
+  });
+
+  // Rubric criteria, in first-seen order, so every student gets the same subscore columns
+  const criteriaFor = new Map();
+  if (includeSubScores) {
+    assignments.forEach((assignment) => {
+      const criteria = new Map();
+      submissions
+        .filter(submission => submission.assignmentId.toString() === assignment._id.toString())
+        .forEach(submission => (submission.subScores || []).forEach((item) => {
+          if (!criteria.has(item.name)) criteria.set(item.name, item.maxScore);
+        }));
+      criteriaFor.set(assignment._id.toString(), [...criteria]);
+    });
+  }
+
+  const header = [...spec.identity];
+  const pointsRow = spec.pointsRow ? ['    Points Possible', ...spec.identity.slice(1).map(() => '')] : null;
+  assignments.forEach((assignment) => {
+    header.push(spec.grade(assignment));
+    pointsRow?.push(assignment.totalPoints);
+    (criteriaFor.get(assignment._id.toString()) || []).forEach(([name, maxScore]) => {
+      header.push(spec.subScore(assignment, name, maxScore));
+      pointsRow?.push(maxScore);
+    });
+    if (includeFeedback) {
+      header.push(spec.feedback(assignment));
+      pointsRow?.push('');
+    }
+  });
+  const withTotals = Boolean(totals && spec.totals);
+  if (withTotals) header.push(...spec.totals);
+
+  const rows = students.map((student) => {
+    const row = spec.identify(student);
+    assignments.forEach((assignment) => {
+      const submission = submissionFor.get(`${student._id.toString()}:${assignment._id.toString()}`);
+      row.push(typeof submission?.score === 'number' ? submission.score : '');
+      (criteriaFor.get(assignment._id.toString()) || []).forEach(([name]) => {
+        const item = (submission?.subScores || []).find(subScore => subScore.name === name);
+        row.push(item ? item.score : '');
+      });
+      if (includeFeedback) row.push(feedbackText(submission));
+    });
+    if (withTotals) {
+      const total = totals.get(student._id.toString()) || {};
+      row.push(total.percent ?? '', total.letter || '');
+    }
+    return row;
+  });
+
+  return pointsRow ? [header, pointsRow, ...rows] : [header, ...rows];
+}
+
+async function toXlsx(rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  // Sheet names are limited to 31 characters and may not contain : \ / ? * [ ]
+  const sheet = workbook.addWorksheet((sheetName || 'Grades').replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || 'Grades');
+  rows.forEach(row => sheet.addRow(row));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.columns.forEach((column) => { column.width = Math.min(Math.max(12, String(column.values[1] || '').length + 2), 50); });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Returns { buffer, contentType, extension }
+async function renderGradeRows(rows, { format = 'csv', sheetName } = {}) {
+  if (format === 'xlsx') {
+    return { buffer: await toXlsx(rows, sheetName), contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' };
+  }
+  return { buffer: Buffer.from(stringifyCsv(rows), 'utf8'), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+}
+
+// Validates ?format, ?layout and ?include=subscores,feedback; returns { options } or { error }
+function parseExportQuery(query) {
+  const format = (query.format || 'csv').toLowerCase();
+  const layout = (query.layout || 'generic').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) return { error: `Unsupported format "${format}". Use ${EXPORT_FORMATS.join(' or ')}.` };
+  if (!EXPORT_LAYOUTS.includes(layout)) return { error: `Unsupported layout "${layout}". Use one of: ${EXPORT_LAYOUTS.join(', ')}.` };
+  const include = (query.include || '').toLowerCase().split(',').map(value => value.trim()).filter(Boolean);
+  const unknown = include.filter(value => !['subscores', 'feedback'].includes(value));
+  if (unknown.length) return { error: `Unknown include option(s): ${unknown.join(', ')}. Use subscores and/or feedback.` };
+  return { options: { format, layout, includeSubScores: include.includes('subscores'), includeFeedback: include.includes('feedback') } };
+}
+
+const exportFileName = (base, extension) => `${(base || 'grades').replace(/[^\w.-]+/g, '_').slice(0, 80)}.${extension}`;
+
+module.exports = { buildGradeRows, renderGradeRows, parseExportQuery, exportFileName, EXPORT_LAYOUTS, EXPORT_FORMATS };
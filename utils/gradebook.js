@@ -0,0 +1,175 @@
+// backend/utils/gradebook.js
+// Course gradebook: a student x assignment matrix of graded-attempt scores (Submission.score
+// out of Assignment.totalPoints), rolled up into category totals, a weighted course percentage
+// and a letter grade (Course.gradingScheme).
+//
+// Totals are running totals: only graded work counts. With countMissing, assignments past
+// their due date without a graded submission count as zero instead.
+
+const DEFAULT_LETTER_SCALE = [
+  { letter: 'A', minPercent: 93 },
+  { letter: 'A-', minPercent: 90 },
+  { letter: 'B+', minPercent: 87 },
+  { letter: 'B', minPercent: 83 },
+  { letter: 'B-', minPercent: 80 },
+  { letter: 'C+', minPercent: 77 },
+  { letter: 'C', minPercent: 73 },
+  { letter: 'C-', minPercent: 70 },
+  { letter: 'D+', minPercent: 67 },
+  { letter: 'D', minPercent: 60 },
+  { letter: 'F', minPercent: 0 },
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const percentOf = (earned, possible) => (possible > 0 ? round2((earned / possible) * 100) : null);
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Returns a list of problems with a { categories, letterScale } scheme (empty when valid)
+function validateGradingScheme({ categories = [], letterScale } = {}) {
+  const errors = [];
+  if (!Array.isArray(categories)) return ['categories must be an array.'];
+
+  const names = new Set();
+  categories.forEach((category, index) => {
+    const label = category?.name ? `Category "${category.name}"` : `Category ${index + 1}`;
+    if (typeof category?.name !== 'string' || !category.name.trim()) errors.push(`${label}: name is required.`);
+    else if (names.has(category.name.trim().toLowerCase())) errors.push(`${label}: duplicate category name.`);
+    else names.add(category.name.trim().toLowerCase());
+    if (typeof category?.weight !== 'number' || category.weight < 0 || category.weight > 100) errors.push(`${label}: weight must be a number from 0 to 100.`);
+    if (category?.dropLowest !== undefined && (!Number.isInteger(category.dropLowest) || category.dropLowest < 0)) errors.push(`${label}: dropLowest must be a whole number of at least 0.`);
+  });
+  const totalWeight = categories.reduce((sum, category) => sum + (Number(category?.weight) || 0), 0);
+  if (categories.length && Math.abs(totalWeight - 100) > 0.01) errors.push(`Category weights must add up to 100 (currently ${round2(totalWeight)}).`);
+
+  if (letterScale !== undefined && letterScale !== null) {
+    if (!Array.isArray(letterScale) || !letterScale.length) return [...errors, 'letterScale must be a non-empty array.'];
+    const cutoffs = new Set();
+    letterScale.forEach((grade, index) => {
+      if (typeof grade?.letter !== 'string' || !grade.letter.trim()) errors.push(`Letter grade ${index + 1}: letter is required.`);
+      if (typeof grade?.minPercent !== 'number' || grade.minPercent < 0 || grade.minPercent > 100) errors.push(`Letter grade ${index + 1}: minPercent must be a number from 0 to 100.`);
+      else if (cutoffs.has(grade.minPercent)) errors.push(`Letter grade ${index + 1}: another letter already starts at ${grade.minPercent}%.`);
+      else cutoffs.add(grade.minPercent);
+    });
+    if (!cutoffs.has(0)) errors.push('letterScale needs a grade with minPercent 0 so every percentage has a letter.');
+  }
+  return errors;
+}
+
+function letterFor(percent, letterScale) {
+  if (percent === null || percent === undefined) return null;
+  const scale = [...letterScale].sort((a, b) => b.minPercent - a.minPercent);
+  return (scale.find(grade => percent >= grade.minPercent) || scale[scale.length - 1]).letter;
+}
+
+// Points earned in one category after dropping the lowest N scores (by percentage).
+// At least one score is always kept.
+function categoryTotal(items, dropLowest = 0) {
+  const dropCount = Math.min(dropLowest, Math.max(items.length - 1, 0));
+  const dropped = [...items]
+    .sort((a, b) => a.earned / a.possible - b.earned / b.possible)
+    .slice(0, dropCount)
+    .map(item => item.assignmentId);
+  const kept = items.filter(item => !dropped.includes(item.assignmentId));
+  const earned = kept.reduce((sum, item) => sum + item.earned, 0);
+  const possible = kept.reduce((sum, item) => sum + item.possible, 0);
+  return { earned: round2(earned), possible: round2(possible), percent: percentOf(earned, possible), dropped };
+}
+
+// course: with gradingScheme; assignments: lean, with totalPoints/dueDate/category;
+// students: [{ _id, name, email, section }]; submissions: graded attempts of those students
+function buildGradebook({ course, assignments, students, submissions, countMissing = false, now = new Date() }) {
+  const categories = course.gradingScheme?.categories || [];
+  const letterScale = course.gradingScheme?.letterScale?.length ? course.gradingScheme.letterScale : DEFAULT_LETTER_SCALE;
+  const categoryByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+  const categoryOf = (assignment) => categoryByName.get((assignment.category || '').trim().toLowerCase())?.name || null;
+
+  // One submission per student and assignment; prefer a scored one if several attempt groups count
+  const submissionFor = new Map();
+  submissions.forEach((submission) => {
+    const key = `${idOf(submission.submittedBy)}:${idOf(submission.assignmentId)}`;
+    const existing = submissionFor.get(key);
+    if (!existing || (typeof existing.score !== 'number' && typeof submission.score === 'number')) submissionFor.set(key, submission);
+  });
+
+  const rows = students.map((student) => {
+    const grades = {};
+    const buckets = new Map(); // category name ('' without categories) -> counted items
+
+    assignments.forEach((assignment) => {
+      const assignmentId = assignment._id.toString();
+      const submission = submissionFor.get(`${student._id.toString()}:${assignmentId}`);
+      const possible = assignment.totalPoints || 0;
+      const scored = typeof submission?.score === 'number';
+      const pastDue = Boolean(assignment.dueDate) && new Date(assignment.dueDate) < now;
+      let status = 'not_submitted';
+      if (scored) status = 'graded';
+      else if (submission) status = 'submitted';
+      else if (pastDue) status = 'missing';
+
+      grades[assignmentId] = {
+        submissionId: submission?._id || null,
+        score: scored ? submission.score : null,
+        totalPoints: possible,
+        percent: scored ? percentOf(submission.score, possible) : null,
+        status,
+        isLate: submission?.isLate || false,
+        dropped: false,
+      };
+
+      const bucket = categories.length ? categoryOf(assignment) : '';
+      if (bucket === null || possible <= 0) return; // Uncategorized or worth nothing: not counted
+      if (!scored && !(countMissing && status === 'missing')) return;
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push({ assignmentId, earned: scored ? submission.score : 0, possible });
+    });
+
+    let total;
+    let categoryTotals = [];
+    if (categories.length) {
+      categoryTotals = categories.map(category => ({ name: category.name, weight: category.weight, ...categoryTotal(buckets.get(category.name) || [], category.dropLowest) }));
+      // Categories without graded work yet are left out and the remaining weights rescaled
+      const counted = categoryTotals.filter(category => category.percent !== null);
+      const weight = counted.reduce((sum, category) => sum + category.weight, 0);
+      total = {
+        earned: round2(counted.reduce((sum, category) => sum + category.earned, 0)),
+        possible: round2(counted.reduce((sum, category) => sum + category.possible, 0)),
+        percent: weight > 0 ? round2(counted.reduce((sum, category) => sum + category.percent * category.weight, 0) / weight) : null,
+      };
+    } else {
+      const { earned, possible, percent } = categoryTotal(buckets.get('') || []);
+      total = { earned, possible, percent };
+    }
+    categoryTotals.forEach(category => category.dropped.forEach((assignmentId) => { grades[assignmentId].dropped = true; }));
+
+    return {
+      student: { _id: student._id, name: student.name, email: student.email, section: student.section || null },
+      grades,
+      categories: categoryTotals,
+      total: { ...total, letter: letterFor(total.percent, letterScale) },
+    };
+  });
+
+  const average = (values) => {
+    const present = values.filter(value => value !== null);
+    return present.length ? round2(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+  };
+
+  return {
+    gradingScheme: { categories, letterScale },
+    countMissing,
+    assignments: assignments.map(assignment => ({
+      _id: assignment._id,
+      title: assignment.title,
+      category: categories.length ? categoryOf(assignment) : assignment.category || null,
+      totalPoints: assignment.totalPoints,
+      dueDate: assignment.dueDate,
+      averagePercent: average(rows.map(row => row.grades[assignment._id.toString()].percent)),
+    })),
+    // With categories configured, assignments outside them do not count toward any total
+    uncategorizedAssignments: categories.length ? assignments.filter(assignment => !categoryOf(assignment)).map(assignment => assignment._id) : [],
+    students: rows,
+    averagePercent: average(rows.map(row => row.total.percent)),
+  };
+}
+
+module.exports = { buildGradebook, validateGradingScheme, letterFor, DEFAULT_LETTER_SCALE };
@@ -0,0 +1,39 @@
+// backend/utils/latePolicy.js
+// Evaluates an assignment's late policy (dueDate, allowLateSubmissions, latePolicy)
+// for a given submission time, and applies the resulting penalty to scores.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Returns { accepted, isLate, daysLate, penaltyPercent, reason }
+function evaluateLateness(assignment, submittedAt = new Date()) {
+  const policy = assignment.latePolicy || {};
+  const submittedTime = new Date(submittedAt).getTime();
+  const onTime = { accepted: true, isLate: false, daysLate: 0, penaltyPercent: 0, reason: null };
+
+  if (policy.hardCutoff && submittedTime > new Date(policy.hardCutoff).getTime()) {
+    return { ...onTime, accepted: false, reason: 'The submission deadline for this assignment has passed.' };
+  }
+  if (!assignment.dueDate) return onTime;
+
+  const deadline = new Date(assignment.dueDate).getTime() + (policy.gracePeriodMinutes || 0) * MINUTE_MS;
+  if (submittedTime <= deadline) return onTime;
+
+  if (assignment.allowLateSubmissions === false) {
+    return { ...onTime, accepted: false, reason: 'This assignment does not accept late submissions.' };
+  }
+
+  // Every started day past the deadline counts as a full day
+  const daysLate = Math.ceil((submittedTime - deadline) / DAY_MS);
+  const penaltyPercent = Math.min((policy.penaltyPerDay || 0) * daysLate, policy.maxPenalty ?? 100);
+  return { accepted: true, isLate: true, daysLate, penaltyPercent, reason: null };
+}
+
+// Deduct a percentage of the raw score (not of total points), rounded to 2 decimals
+function applyLatePenalty(rawScore, penaltyPercent) {
+  if (rawScore === null || rawScore === undefined) return rawScore;
+  if (!penaltyPercent) return rawScore;
+  return Math.round(rawScore * (1 - penaltyPercent / 100) * 100) / 100;
+}
+
+module.exports = { evaluateLateness, applyLatePenalty };
@@ -0,0 +1,241 @@
+// backend/utils/llm.js
+// Single entry point for every LLM call in the app. Providers:
+//   openai  - OpenAI API (default; needs OPENAI_API_KEY)
+//   compat  - any OpenAI-compatible server (Ollama, llama.cpp, vLLM...) at LLM_BASE_URL
+//   mock    - deterministic offline responses for tests/development (only with LLM_PROVIDER=mock)
+// A missing key or base URL stops the server at startup rather than storing fake results.
+//
+// Configuration (environment):
+//   LLM_PROVIDER          openai | compat | mock
+//   LLM_BASE_URL          e.g. http://localhost:11434/v1 for Ollama (compat provider)
+//   LLM_API_KEY           key for the compat provider (falls back to OPENAI_API_KEY)
+//   LLM_MODEL             default model for all tasks (default gpt-3.5-turbo)
+//   LLM_MODEL_<TASK>      per-task override, e.g. LLM_MODEL_GRADING=gpt-4o-mini
+//   LLM_JSON_MODE         set to "false" if the server does not support response_format
+//   LLM_JSON_SCHEMA       set to "true" to send schemas as strict JSON-schema output (needs a model
+//                         with structured outputs, e.g. gpt-4o-mini); otherwise JSON mode is used.
+//                         Schemas are always enforced by validation (utils/structuredOutput.js)
+const OpenAI = require("openai");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const DEFAULT_MODEL = "gpt-3.5-turbo";
+const TASKS = ['generate', 'relevance', 'aiCheck', 'feedback', 'grading'];
+
+class LLMProviderError extends Error {
+  constructor(message, { status = 502, provider } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.status = status;
+    this.provider = provider;
+  }
+}
+
+function resolveProviderName() {
+  const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  if (!['openai', 'compat', 'mock'].includes(name)) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use openai, compat or mock.`);
+  }
+  if (name === 'openai' && !process.env.OPENAI_API_KEY) {
+    throw new Error("The OPENAI_API_KEY environment variable is missing or empty. Please provide it, or set LLM_PROVIDER (compat, or mock for offline development).");
+  }
+  if (name === 'compat' && !process.env.LLM_BASE_URL) {
+    throw new Error("LLM_PROVIDER=compat needs LLM_BASE_URL (e.g. http://localhost:11434/v1).");
+  }
+  return name;
+}
+
+// Checked when the app loads so a misconfigured deploy fails at startup
+const PROVIDER_NAME = resolveProviderName();
+
+// Model for a task: LLM_MODEL_GRADING, LLM_MODEL_AICHECK, ... then LLM_MODEL, then the default
+function modelForTask(task) {
+  const envKey = `LLM_MODEL_${String(task || '').toUpperCase()}`;
+  return process.env[envKey] || process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+// Keywords strict JSON-schema output rejects; they are only checked locally (utils/structuredOutput.js)
+const STRICT_UNSUPPORTED_KEYWORDS = [
+  'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties',
+];
+
+function strictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(strictSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !STRICT_UNSUPPORTED_KEYWORDS.includes(key))
+    // Property names are data, not keywords
+    .map(([key, value]) => [key, key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, strictSchema(property)]))
+      : strictSchema(value)]));
+}
+
+// --- OpenAI / OpenAI-compatible provider ---
+function createOpenAIProvider(name) {
+  const client = new OpenAI({
+    apiKey: (name === 'compat' ? process.env.LLM_API_KEY : null) || process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL: name === 'compat' ? process.env.LLM_BASE_URL : undefined,
+  });
+  const jsonMode = process.env.LLM_JSON_MODE !== 'false';
+  const schemaMode = jsonMode && process.env.LLM_JSON_SCHEMA === 'true';
+
+  const responseFormat = (json, schema) => {
+    if (schema && schemaMode) return { type: "json_schema", json_schema: { name: schema.name, schema: strictSchema(schema.schema), strict: true } };
+    return (json || schema) && jsonMode ? { type: "json_object" } : undefined;
+  };
+
+  return {
+    name,
+    async complete({ model, messages, temperature, maxTokens, json, schema }) {
+      try {
+        const completion = await client.chat.completions.create({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          response_format: responseFormat(json, schema),
+        });
+        return {
+          text: completion.choices[0]?.message?.content?.trim() || '',
+          usage: completion.usage || null,
+        };
+      } catch (error) {
+        if (error instanceof OpenAI.APIError) {
+          throw new LLMProviderError(`${name} API Error: ${error.status} ${error.name} - ${error.message}`, { status: error.status || 502, provider: name });
+        }
+        throw new LLMProviderError(`${name} provider request failed: ${error.message}`, { provider: name });
+      }
+    },
+  };
+}
+
+// --- Mock provider ---
+// Responses depend only on the prompt, so the same input always yields the same output.
+const hashString = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  return hash;
+};
+
+// The submission text is wrapped in """ fences in our prompts
+const extractFencedText = (prompt) => {
+  const match = prompt.match(/"""\s*([\s\S]*?)\s*"""/);
+  return match ? match[1] : '';
+};
+
+const firstSentence = (text) => (text.match(/[^.!?\n]{20,}[.!?]/) || [text.slice(0, 80)])[0].trim();
+
+// Structured assignment generation (utils/assignmentGeneration.js): one criterion per objective
+function mockGeneratedAssignment(prompt) {
+  let objectives = [];
+  try { objectives = JSON.parse((prompt.match(/LEARNING OBJECTIVES \(JSON\):\s*(\[.*\])/) || [])[1]); } catch (e) { objectives = []; }
+  const totalPoints = Number((prompt.match(/TOTAL POINTS:\s*([\d.]+)/) || [])[1]) || 100;
+  const exemplarCount = Number((prompt.match(/EXEMPLARS:\s*(\d+)/) || [])[1]) || 1;
+  const type = ((prompt.match(/ASSIGNMENT TYPE:\s*(\w+)/) || [])[1] || 'assignment').replace(/_/g, ' ');
+
+  const base = Math.floor((totalPoints / objectives.length) * 100) / 100;
+  const criteria = objectives.map((objective, index) => {
+    const maxPoints = index === objectives.length - 1 ? Math.round((totalPoints - base * index) * 100) / 100 : base;
+    const cut = (share) => Math.round(maxPoints * share * 100) / 100;
+    return {
+      name: `Objective ${index + 1}`,
+      description: objective,
+      maxPoints,
+      objectives: [index + 1],
+      levels: [
+        { label: 'Exemplary', minPoints: cut(0.8), maxPoints, descriptor: 'Fully meets the objective (mock).' },
+        { label: 'Proficient', minPoints: cut(0.5), maxPoints: cut(0.8), descriptor: 'Mostly meets the objective (mock).' },
+        { label: 'Developing', minPoints: 0, maxPoints: cut(0.5), descriptor: 'Partly meets the objective (mock).' },
+      ],
+    };
+  });
+  const levels = ['Exemplary', 'Proficient', 'Developing'];
+  return JSON.stringify({
+    title: `Mock ${type}`,
+    description: `A ${type} generated by the offline provider.`,
+    instructions: `Complete this ${type}, addressing each learning objective (mock instructions).`,
+    rubric: { title: `Mock ${type} rubric`, criteria },
+    exemplars: levels.slice(0, exemplarCount).map(level => ({ level, answer: `A ${level.toLowerCase()} answer (mock).`, commentary: `Shows ${level.toLowerCase()} work (mock).` })),
+  });
+}
+
+const mockResponders = {
+  generate: (prompt) => (prompt.includes('LEARNING OBJECTIVES (JSON):')
+    ? mockGeneratedAssignment(prompt)
+    : `Mock generated content (offline provider).\n\nPrompt summary: ${prompt.slice(0, 200)}`),
+  relevance: () => 'HIGHLY_RELEVANT',
+  aiCheck: (prompt) => JSON.stringify({ score: 50 + (hashString(prompt) % 50), confidence: 'Low' }),
+  feedback: (prompt) => {
+    const quote = firstSentence(extractFencedText(prompt));
+    return JSON.stringify({
+      strengths: ['Clear topic focus (mock feedback).'],
+      improvements: ['Add more supporting evidence (mock feedback).'],
+      actionItems: ['Revise the introduction (mock feedback).'],
+      inlineComments: quote ? [{ quote, comment: 'Consider expanding this point (mock comment).' }] : [],
+    });
+  },
+  grading: (prompt) => {
+    // Score each rubric criterion at 70% when the rubric is given as JSON in the prompt
+    // (notes instead of scores for one part of a long submission, utils/aiGrading.js)
+    let criteria = [];
+    const rubricMatch = prompt.match(/RUBRIC:\s*(\[[\s\S]*?\])\s*(?:SUBMISSION TEXT|PART TEXT|NOTES ON EACH PART):/);
+    try { criteria = rubricMatch ? JSON.parse(rubricMatch[1]) : []; } catch (e) { criteria = []; }
+    if (!criteria.length) criteria = [{ name: 'Overall', maxScore: 10 }]; // Rubric given as text
+    const quote = firstSentence(extractFencedText(prompt));
+    if (prompt.includes('PART TEXT:')) {
+      return JSON.stringify({ criteria: criteria.map(c => ({ name: c.name, notes: 'Addressed in this part (mock notes).', quotes: quote ? [quote] : [] })) });
+    }
+    return JSON.stringify({
+      criteria: criteria.map(c => ({
+        name: c.name,
+        score: Math.round(c.maxScore * 0.7 * 100) / 100,
+        maxScore: c.maxScore,
+        rationale: 'Meets most expectations (mock grading).',
+        quotes: quote ? [quote] : [],
+      })),
+      summary: 'Mock grade generated by the offline provider.',
+    });
+  },
+};
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async complete({ task, messages }) {
+      const prompt = messages.map(m => m.content).join('\n');
+      const respond = mockResponders[task] || mockResponders.generate;
+      const text = respond(prompt);
+      return {
+        text,
+        usage: { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(text.length / 4), total_tokens: Math.ceil((prompt.length + text.length) / 4) },
+      };
+    },
+  };
+}
+
+let provider = null;
+function getProvider() {
+  if (provider) return provider;
+  provider = PROVIDER_NAME === 'mock' ? createMockProvider() : createOpenAIProvider(PROVIDER_NAME);
+  console.log(`LLM provider: ${provider.name}`);
+  return provider;
+}
+
+// complete({ task, messages, temperature, maxTokens, json, schema }) -> { text, model, provider, usage }
+// schema: { name, schema } asks for JSON matching a JSON schema (implies json)
+async function complete({ task, messages, temperature, maxTokens, json = false, schema = null }) {
+  if (!TASKS.includes(task)) throw new Error(`Unknown LLM task "${task}"`);
+  const active = getProvider();
+  const model = modelForTask(task);
+  const result = await active.complete({ task, model, messages, temperature, maxTokens, json, schema });
+  return { ...result, model, provider: active.name };
+}
+
+async function generateContent(prompt) {
+  const { text } = await complete({ task: 'generate', messages: [{ role: "user", content: prompt }] });
+  return text;
+}
+
+module.exports = { complete, generateContent, modelForTask, LLMProviderError };
@@ -0,0 +1,92 @@
+// backend/utils/mailer.js
+// Outgoing email behind one interface. Drivers:
+//   smtp   - any SMTP server via nodemailer (production; default when SMTP_HOST is set)
+//   file   - writes each message as JSON to MAIL_DIR (development; default otherwise)
+//   memory - keeps messages in memory (sentMail), for tests and scripts
+// With NODE_ENV=production MAIL_DRIVER must be set, so a missing SMTP_HOST stops the server at
+// startup instead of writing password-reset links to disk.
+//
+// Configuration (environment):
+//   MAIL_DRIVER                smtp | file | memory (required in production)
+//   MAIL_FROM                  sender address (default "no-reply@localhost")
+//   MAIL_DIR                   directory of the file driver (default backend/mail-outbox)
+//   SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+//   SMTP_SECURE                "true" for implicit TLS (port 465); STARTTLS is used otherwise
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+// --- SMTP driver ---
+function createSmtpDriver() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP mail is not configured (SMTP_HOST).');
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transport.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+// --- File driver ---
+function createFileDriver() {
+  return {
+    name: 'file',
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(MAIL_DIR, `${id}.json`), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      console.log(`Mail to ${message.to} written to ${path.join(MAIL_DIR, `${id}.json`)}`);
+      return { id };
+    },
+  };
+}
+
+// --- Memory driver ---
+const sentMail = [];
+
+function createMemoryDriver() {
+  return {
+    name: 'memory',
+    async send(message) {
+      const id = `${sentMail.length + 1}`;
+      sentMail.push({ id, ...message, sentAt: new Date() });
+      return { id };
+    },
+  };
+}
+
+const driverFactories = { smtp: createSmtpDriver, file: createFileDriver, memory: createMemoryDriver };
+
+function resolveDriverName() {
+  if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_DRIVER must be set in production (smtp, with SMTP_HOST and credentials).');
+  }
+  const name = (process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'file')).toLowerCase();
+  if (!driverFactories[name]) throw new Error(`Unknown mail driver "${name}". Use smtp, file or memory.`);
+  return name;
+}
+
+// Created when the app loads so a misconfigured deploy fails at startup
+const driver = driverFactories[resolveDriverName()]();
+
+// message: { to, subject, text, html? }. Returns { id }.
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject || !text) throw new Error('Mail needs a recipient, a subject and a text body.');
+  return driver.send({ from: MAIL_FROM, to, subject, text, html: html || undefined });
+}
+
+module.exports = { sendMail, sentMail };
@@ -0,0 +1,95 @@
+// backend/utils/ocr.js
+// Local OCR with tesseract.js and the English model bundled in @tesseract.js-data/eng
+// (nothing is downloaded at runtime). Used when normal text extraction yields nothing:
+// photos of handwritten work and scanned PDFs.
+//
+// Configuration (environment):
+//   OCR_ENABLED     set to "false" to turn OCR off
+//   OCR_MAX_PAGES   most images OCR'd per scanned PDF (default 30)
+const { createWorker } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const MAX_PDF_IMAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 30;
+const MIN_IMAGE_PIXELS = 200 * 200; // Skip logos and icons embedded in PDFs
+
+// One shared Tesseract worker, created on first use; it queues recognize() calls itself
+let workerPromise = null;
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(engData.code, 1, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: 'none',
+      // Without a handler, tesseract.js rethrows job errors (e.g. unreadable images) and crashes the process
+      errorHandler: (error) => console.error("OCR worker error:", error),
+    })
+      .catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+  return workerPromise;
+}
+
+async function terminateOcr() {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) await worker.terminate();
+}
+
+// Returns { text, confidence } with Tesseract's mean word confidence (0-100)
+async function recognizeImage(imageBuffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(imageBuffer);
+  return { text: (data.text || '').trim(), confidence: Math.round(data.confidence || 0) };
+}
+
+// Scanners store each page as a JPEG image stream (DCTDecode); pull those out of the raw PDF.
+// Other image encodings (CCITT, JBIG2, JPX) are not supported.
+function extractPdfImages(pdfBuffer) {
+  const raw = pdfBuffer.toString('latin1');
+  const streamPattern = /obj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+  const images = [];
+  let match;
+  while ((match = streamPattern.exec(raw)) !== null) {
+    const dict = match[1];
+    if (!/\/Subtype\s*\/Image/.test(dict) || !/\/DCTDecode/.test(dict)) continue;
+
+    const width = parseInt((dict.match(/\/Width\s+(\d+)/) || [])[1], 10) || 0;
+    const height = parseInt((dict.match(/\/Height\s+(\d+)/) || [])[1], 10) || 0;
+    if (width * height < MIN_IMAGE_PIXELS) continue;
+
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) continue;
+    // Trim to the JPEG end-of-image marker to drop the trailing EOL before "endstream"
+    const jpeg = pdfBuffer.subarray(start, end);
+    const eoi = jpeg.lastIndexOf(Buffer.from([0xff, 0xd9]));
+    images.push(eoi === -1 ? jpeg : jpeg.subarray(0, eoi + 2));
+    streamPattern.lastIndex = end;
+  }
+  return images;
+}
+
+// Returns { text, confidence, pages }; confidence is the page average weighted by text length
+async function recognizePdf(pdfBuffer) {
+  const images = extractPdfImages(pdfBuffer).slice(0, MAX_PDF_IMAGES);
+  const pages = [];
+  for (const image of images) {
+    pages.push(await recognizeImage(image));
+  }
+
+  const withText = pages.filter(page => page.text);
+  const totalLength = withText.reduce((sum, page) => sum + page.text.length, 0);
+  return {
+    text: withText.map(page => page.text).join('\n\n'),
+    confidence: totalLength
+      ? Math.round(withText.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / totalLength)
+      : 0,
+    pages: images.length,
+  };
+}
+
+module.exports = { OCR_ENABLED, recognizeImage, recognizePdf, terminateOcr };
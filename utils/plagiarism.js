@@ -0,0 +1,112 @@
+// backend/utils/plagiarism.js
+// Local similarity engine: word shingles -> hashes -> winnowed fingerprints.
+// Fingerprints are stored on each submission so new work can be compared against
+// earlier submissions without keeping (or re-downloading) their full text.
+
+const SHINGLE_SIZE = 5; // Words per shingle
+const WINDOW_SIZE = 4; // Winnowing window (in shingles)
+const MIN_SHARED_FINGERPRINTS = 2; // Ignore sources sharing fewer fingerprints (common phrases)
+const MAX_REPORTED_MATCHES = 20;
+
+// 32-bit FNV-1a hash of a normalized shingle
+function hashShingle(shingle) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < shingle.length; i++) {
+    hash ^= shingle.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Split text into lowercase word tokens, keeping their character offsets in the original text
+function tokenize(text) {
+  const tokens = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Returns winnowed fingerprints: [{ hash, start, end }] where start/end span the shingle in `text`
+function fingerprintText(text) {
+  if (!text) return [];
+  const tokens = tokenize(text);
+  if (tokens.length < SHINGLE_SIZE) return [];
+
+  const shingles = [];
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    const words = tokens.slice(i, i + SHINGLE_SIZE).map(t => t.word).join(' ');
+    shingles.push({ hash: hashShingle(words), start: tokens[i].start, end: tokens[i + SHINGLE_SIZE - 1].end });
+  }
+
+  // Winnowing: keep the minimum hash of every window (rightmost on ties), recording each pick once
+  const fingerprints = [];
+  let lastPicked = -1;
+  const windowCount = Math.max(1, shingles.length - WINDOW_SIZE + 1);
+  for (let w = 0; w < windowCount; w++) {
+    let minIndex = w;
+    const windowEnd = Math.min(w + WINDOW_SIZE, shingles.length);
+    for (let i = w; i < windowEnd; i++) {
+      if (shingles[i].hash <= shingles[minIndex].hash) minIndex = i;
+    }
+    if (minIndex !== lastPicked) {
+      fingerprints.push(shingles[minIndex]);
+      lastPicked = minIndex;
+    }
+  }
+  return fingerprints;
+}
+
+// Merge overlapping/adjacent fingerprint spans into contiguous passages
+function mergeSpans(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const span of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end + 1) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ start: span.start, end: span.end });
+    }
+  }
+  return merged;
+}
+
+// Compare a document against candidate sources.
+// candidates: [{ id, label, fingerprints: [Number] }]
+// Returns { score, matches } shaped like plagiarismResultSchema (score = originality %).
+function compareFingerprints(text, fingerprints, candidates) {
+  if (!fingerprints.length) return { score: 100, matches: [] };
+
+  const matchedOverall = new Set();
+  const matches = [];
+
+  for (const candidate of candidates) {
+    if (!candidate.fingerprints?.length) continue;
+    const sourceHashes = new Set(candidate.fingerprints);
+    const shared = fingerprints.filter(fp => sourceHashes.has(fp.hash));
+    if (shared.length < MIN_SHARED_FINGERPRINTS) continue;
+
+    shared.forEach(fp => matchedOverall.add(fp));
+    const similarity = Number((shared.length / fingerprints.length).toFixed(2));
+
+    for (const passage of mergeSpans(shared)) {
+      matches.push({
+        text: text.slice(passage.start, passage.end),
+        source: candidate.label,
+        sourceSubmission: candidate.id,
+        similarity,
+      });
+    }
+  }
+
+  // Most similar sources first, longest passages first within a source
+  matches.sort((a, b) => (b.similarity - a.similarity) || (b.text.length - a.text.length));
+
+  const originality = Math.round(100 * (1 - matchedOverall.size / fingerprints.length));
+  return { score: originality, matches: matches.slice(0, MAX_REPORTED_MATCHES) };
+}
+
+module.exports = { fingerprintText, compareFingerprints };
@@ -0,0 +1,47 @@
+// backend/utils/plans.js
+// Subscription plans (User.plan) and their quotas. null means unlimited.
+// Users without a known plan get the free plan; admins are never limited.
+// aiAnalysesPerMonth counts analyses (a feedback run, a draft grade, a generated assignment, the
+// relevance or AI-writing check of an upload), not the provider calls each one takes.
+// aiRequestsPerMinute limits analyses someone is waiting on, per user.
+//
+// Configuration (environment):
+//   PLAN_ENFORCEMENT   set to "false" to meter usage without enforcing quotas (self-hosted installs)
+
+const PLANS = {
+  free: {
+    name: 'Free',
+    aiAnalysesPerMonth: 100,
+    aiRequestsPerMinute: 5,
+    submissionsPerAssignment: 50,
+    storageBytes: 500 * 1024 * 1024,
+  },
+  pro: {
+    name: 'Pro',
+    aiAnalysesPerMonth: 2000,
+    aiRequestsPerMinute: 30,
+    submissionsPerAssignment: 500,
+    storageBytes: 10 * 1024 * 1024 * 1024,
+  },
+  institution: {
+    name: 'Institution',
+    aiAnalysesPerMonth: null,
+    aiRequestsPerMinute: 120,
+    submissionsPerAssignment: null,
+    storageBytes: null,
+  },
+};
+const DEFAULT_PLAN = 'free';
+
+const UNLIMITED = { name: 'Unlimited', aiAnalysesPerMonth: null, aiRequestsPerMinute: null, submissionsPerAssignment: null, storageBytes: null };
+
+const isEnforced = () => process.env.PLAN_ENFORCEMENT !== 'false';
+
+// Returns { id, ...limits } for a user document (needs plan and role)
+function planFor(user) {
+  if (user?.role === 'admin') return { id: 'admin', ...UNLIMITED };
+  const id = PLANS[(user?.plan || '').toLowerCase()] ? user.plan.toLowerCase() : DEFAULT_PLAN;
+  return { id, ...PLANS[id] };
+}
+
+module.exports = { PLANS, DEFAULT_PLAN, planFor, isEnforced };
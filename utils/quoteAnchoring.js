@@ -0,0 +1,121 @@
+// backend/utils/quoteAnchoring.js
+// Finds where a quote suggested by the model occurs in the submission text, so inline comments
+// can be anchored by character offsets (Submission.inlineComments startIndex/endIndex).
+// Quotes are compared word by word, so differences in whitespace, punctuation, casing and
+// typographic quotes/dashes don't matter. When no exact word match exists, the closest window
+// of words is accepted if it is similar enough (a lightly paraphrased or misquoted passage).
+
+const MIN_FUZZY_SIMILARITY = 0.8; // Share of words that must line up for a fuzzy match
+const MIN_FUZZY_WORDS = 4; // Shorter quotes must match exactly; too many false positives otherwise
+
+// Words with their character offsets in the original text
+function tokenize(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    words.push({ word: match[0].toLowerCase().replace(/’/g, "'"), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+// Word-level edit distance, limited to `max` (returns max + 1 when it is exceeded)
+function wordDistance(a, b, max) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function exactMatch(words, quote, from) {
+  for (let i = from; i + quote.length <= words.length; i++) {
+    let j = 0;
+    while (j < quote.length && words[i + j].word === quote[j]) j++;
+    if (j === quote.length) return i;
+  }
+  return -1;
+}
+
+// Best window of words around quote.length long, judged by edit distance
+function fuzzyMatch(words, quote) {
+  const maxDistance = Math.floor(quote.length * (1 - MIN_FUZZY_SIMILARITY));
+  const first = quote[0];
+  const last = quote[quote.length - 1];
+  const lengths = [quote.length];
+  for (let delta = 1; delta <= maxDistance; delta++) lengths.push(quote.length - delta, quote.length + delta);
+  let best = null;
+
+  for (let i = 0; i < words.length; i++) {
+    for (const length of lengths) {
+      if (length < 1 || i + length > words.length) continue;
+      // Cheap filter: a close window shares its first or last word with the quote
+      if (words[i].word !== first && words[i + length - 1].word !== last) continue;
+      const window = words.slice(i, i + length).map(w => w.word);
+      const distance = wordDistance(quote, window, best ? Math.min(best.distance, maxDistance) : maxDistance);
+      if (distance <= maxDistance && (!best || distance < best.distance)) best = { index: i, length, distance };
+    }
+  }
+  return best;
+}
+
+// Words end before trailing punctuation; keep the quote's closing "." or "?" inside the highlight
+function extendToPunctuation(text, quote, endIndex) {
+  const last = quote.trim().slice(-1);
+  return /[.!?;:,)]/.test(last) && text[endIndex] === last ? endIndex + 1 : endIndex;
+}
+
+// Returns { startIndex, endIndex, match: 'exact' | 'fuzzy', similarity } or null.
+// Searches from character offset `from` first (comments usually follow the text), then everywhere.
+function anchorQuote(text, quote, { from = 0, words = null } = {}) {
+  const quoteWords = tokenize(quote).map(w => w.word);
+  if (!quoteWords.length) return null;
+  const textWords = words || tokenize(text);
+
+  const fromWord = textWords.findIndex(w => w.start >= from);
+  let index = fromWord === -1 ? -1 : exactMatch(textWords, quoteWords, fromWord);
+  if (index === -1 && fromWord !== 0) index = exactMatch(textWords, quoteWords, 0);
+  if (index !== -1) {
+    const endIndex = extendToPunctuation(text, quote, textWords[index + quoteWords.length - 1].end);
+    return { startIndex: textWords[index].start, endIndex, match: 'exact', similarity: 1 };
+  }
+
+  if (quoteWords.length < MIN_FUZZY_WORDS) return null;
+  const best = fuzzyMatch(textWords, quoteWords);
+  if (!best) return null;
+  return {
+    startIndex: textWords[best.index].start,
+    endIndex: extendToPunctuation(text, quote, textWords[best.index + best.length - 1].end),
+    match: 'fuzzy',
+    similarity: Math.round((1 - best.distance / quoteWords.length) * 100) / 100,
+  };
+}
+
+// Anchors [{ quote, comment }] in text. Returns { placed: [{ startIndex, endIndex, text, quote, match }], unplaced: [{ quote, comment }] }
+function anchorComments(text, comments) {
+  const words = tokenize(text);
+  const placed = [];
+  const unplaced = [];
+  let from = 0;
+
+  for (const { quote, comment } of comments) {
+    const anchor = anchorQuote(text, quote, { from, words });
+    if (!anchor) {
+      console.warn(`Could not locate quote in submission content: "${String(quote).substring(0, 50)}..."`);
+      unplaced.push({ quote, comment });
+      continue;
+    }
+    placed.push({ startIndex: anchor.startIndex, endIndex: anchor.endIndex, text: comment, quote, match: anchor.match });
+    from = anchor.endIndex;
+  }
+  return { placed, unplaced };
+}
+
+module.exports = { anchorQuote, anchorComments };
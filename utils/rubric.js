@@ -0,0 +1,141 @@
+// backend/utils/rubric.js
+// Rubrics come in two forms: structured rubrics from the rubric library (models/Rubric.js,
+// attached through Assignment.rubric), and older ones stored loosely in Assignment.content.rubric
+// (from the editor or AI generation). normalizeRubric turns the loose shapes we see in practice
+// into [{ name, maxScore, description }].
+
+const firstDefined = (obj, keys) => keys.map(k => obj[k]).find(v => v !== undefined && v !== null && v !== '');
+
+function normalizeCriterion(item) {
+  if (!item || typeof item !== 'object') return null;
+  const name = firstDefined(item, ['name', 'criterion', 'criteria', 'title', 'category']);
+  const maxScore = Number(firstDefined(item, ['maxScore', 'maxPoints', 'points', 'weight']));
+  if (!name || !Number.isFinite(maxScore) || maxScore <= 0) return null;
+  return {
+    name: String(name).trim(),
+    maxScore,
+    description: String(firstDefined(item, ['description', 'descriptor', 'details']) || '').trim(),
+  };
+}
+
+// Returns { criteria: [...] } for structured rubrics, { text } for free-text rubrics, or null
+function normalizeRubric(rubric) {
+  if (!rubric) return null;
+  if (typeof rubric === 'string') return rubric.trim() ? { text: rubric.trim() } : null;
+
+  const items = Array.isArray(rubric) ? rubric : (rubric.criteria || rubric.items);
+  if (!Array.isArray(items)) return null;
+
+  const criteria = items.map(normalizeCriterion).filter(Boolean);
+  return criteria.length ? { criteria } : null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const isPoints = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const criterionKey = (name) => String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// --- Library rubrics (models/Rubric.js) ---
+
+// Checks { title, criteria } as sent to the rubric routes; returns a list of problems
+function validateRubric({ title, criteria } = {}) {
+  const errors = [];
+  if (typeof title !== 'string' || !title.trim()) errors.push('title is required.');
+  if (!Array.isArray(criteria) || !criteria.length) return [...errors, 'criteria must be a non-empty array.'];
+
+  const names = new Set();
+  criteria.forEach((criterion, index) => {
+    const label = criterion?.name ? `Criterion "${criterion.name}"` : `Criterion ${index + 1}`;
+    if (typeof criterion?.name !== 'string' || !criterion.name.trim()) errors.push(`${label}: name is required.`);
+    else if (names.has(criterionKey(criterion.name))) errors.push(`${label}: duplicate criterion name.`);
+    else names.add(criterionKey(criterion.name));
+
+    const minPoints = criterion?.minPoints ?? 0;
+    if (!isPoints(criterion?.maxPoints) || criterion.maxPoints <= 0) { errors.push(`${label}: maxPoints must be a number greater than 0.`); return; }
+    if (!isPoints(minPoints) || minPoints >= criterion.maxPoints) { errors.push(`${label}: minPoints must be at least 0 and below maxPoints.`); return; }
+
+    if (criterion.levels === undefined || criterion.levels === null) return;
+    if (!Array.isArray(criterion.levels)) { errors.push(`${label}: levels must be an array.`); return; }
+    const ranges = [];
+    criterion.levels.forEach((level, levelIndex) => {
+      const levelLabel = `${label}, level ${level?.label ? `"${level.label}"` : levelIndex + 1}`;
+      if (typeof level?.label !== 'string' || !level.label.trim()) errors.push(`${levelLabel}: label is required.`);
+      if (!isPoints(level?.minPoints) || !isPoints(level?.maxPoints) || level.minPoints > level.maxPoints) {
+        errors.push(`${levelLabel}: minPoints and maxPoints must be numbers with minPoints <= maxPoints.`);
+      } else if (level.minPoints < minPoints || level.maxPoints > criterion.maxPoints) {
+        errors.push(`${levelLabel}: points must lie within the criterion's ${minPoints}-${criterion.maxPoints}.`);
+      } else {
+        ranges.push(level);
+      }
+    });
+    const sorted = ranges.slice().sort((a, b) => a.minPoints - b.minPoints);
+    sorted.slice(1).forEach((level, i) => {
+      if (level.minPoints < sorted[i].maxPoints) errors.push(`${label}: levels "${sorted[i].label}" and "${level.label}" overlap.`);
+    });
+  });
+  return errors;
+}
+
+// Keeps only the fields the schema knows; call after validateRubric
+const sanitizeCriteria = (criteria) => criteria.map((criterion) => ({
+  name: criterion.name.trim(),
+  description: typeof criterion.description === 'string' ? criterion.description.trim() : '',
+  minPoints: criterion.minPoints ?? 0,
+  maxPoints: criterion.maxPoints,
+  levels: (criterion.levels || []).map(({ label, minPoints, maxPoints, descriptor }) => ({
+    label: label.trim(),
+    minPoints,
+    maxPoints,
+    descriptor: typeof descriptor === 'string' ? descriptor.trim() : '',
+  })),
+  ...(Array.isArray(criterion.objectives) ? { objectives: criterion.objectives.filter(o => typeof o === 'string' && o.trim()).map(o => o.trim()) } : {}),
+}));
+
+const rubricTotalPoints = (rubric) => round2((rubric?.criteria || []).reduce((sum, criterion) => sum + criterion.maxPoints, 0));
+
+// The rubric an assignment is graded against, in the { criteria } / { text } form of normalizeRubric.
+// A populated Assignment.rubric wins over the legacy content.rubric.
+function gradingRubric(assignment) {
+  const attached = assignment?.rubric;
+  if (attached?.criteria?.length) {
+    return {
+      criteria: attached.criteria.map((criterion) => ({
+        name: criterion.name,
+        maxScore: criterion.maxPoints,
+        ...(criterion.minPoints ? { minScore: criterion.minPoints } : {}),
+        description: criterion.description || '',
+        ...(criterion.levels?.length
+          ? { levels: criterion.levels.map(({ label, minPoints, maxPoints, descriptor }) => ({ label, minPoints, maxPoints, descriptor })) }
+          : {}),
+      })),
+    };
+  }
+  return normalizeRubric(assignment?.content?.rubric);
+}
+
+// Checks Submission.subScores against a library rubric. Names are matched case- and
+// whitespace-insensitively and rewritten to the rubric's spelling; a missing maxScore is filled
+// in from the rubric. Criteria may be left out (partially graded). Returns a list of problems.
+function reconcileSubScores(subScores, rubric) {
+  const errors = [];
+  const criteria = new Map((rubric?.criteria || []).map(criterion => [criterionKey(criterion.name), criterion]));
+  const seen = new Set();
+
+  subScores.forEach((item) => {
+    const criterion = criteria.get(criterionKey(item.name));
+    if (!criterion) { errors.push(`"${item.name}" is not a criterion of the rubric "${rubric.title}".`); return; }
+    if (seen.has(criterion.name)) { errors.push(`"${criterion.name}" is scored more than once.`); return; }
+    seen.add(criterion.name);
+
+    item.name = criterion.name;
+    if (item.maxScore === undefined || item.maxScore === null) item.maxScore = criterion.maxPoints;
+    else if (item.maxScore !== criterion.maxPoints) errors.push(`"${criterion.name}": maxScore must be ${criterion.maxPoints} as in the rubric (got ${item.maxScore}).`);
+
+    const minPoints = criterion.minPoints || 0;
+    if (typeof item.score === 'number' && (item.score < minPoints || item.score > criterion.maxPoints)) {
+      errors.push(`"${criterion.name}": score must be between ${minPoints} and ${criterion.maxPoints} (got ${item.score}).`);
+    }
+  });
+  return errors;
+}
+
+module.exports = { normalizeRubric, validateRubric, sanitizeCriteria, rubricTotalPoints, gradingRubric, reconcileSubScores };
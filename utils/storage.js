@@ -0,0 +1,245 @@
+// backend/utils/storage.js
+// Storage for submission files behind one interface. Drivers:
+//   cloudinary - Cloudinary, private uploads (default when CLOUDINARY_CLOUD_NAME is set)
+//   local      - local disk, for self-hosted and offline deployments (default otherwise)
+//   s3         - any S3-compatible object store (AWS S3, MinIO, Cloudflare R2...)
+//
+// Configuration (environment):
+//   STORAGE_DRIVER             cloudinary | local | s3 (driver for new uploads)
+//   STORAGE_LOCAL_DIR          directory of the local driver (default backend/uploads)
+//   CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_FORCE_PATH_STYLE        "true" for MinIO and most self-hosted S3 servers
+//   DOWNLOAD_URL_TTL_SECONDS   lifetime of download links (default 300)
+//   STORAGE_SIGNING_SECRET     signs local download links (falls back to JWT_SECRET)
+//
+// Files are never publicly readable: clients get time-limited download links instead.
+// A stored file is described by a ref ({ driver, key, ... }, Submission.storage), so files
+// stay readable after STORAGE_DRIVER changes as long as the old driver is still configured.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const cloudinary = require('cloudinary').v2;
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const DRIVERS = ['cloudinary', 'local', 's3'];
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 300;
+const LOCAL_ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+class StorageError extends Error {
+  constructor(message, { status = 500, driver } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+    this.driver = driver;
+  }
+}
+
+const safeFileName = (fileName) => (fileName || 'file').replace(/[^\w.\-]+/g, '_').slice(-120);
+const uniqueKey = (folder, fileName) => `${folder}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeFileName(fileName)}`;
+const contentDisposition = (fileName) => `attachment; filename="${safeFileName(fileName)}"`;
+
+// --- Cloudinary driver ---
+function createCloudinaryDriver() {
+  if (!process.env.CLOUDINARY_CLOUD_NAME) throw new StorageError('Cloudinary storage is not configured (CLOUDINARY_CLOUD_NAME).', { driver: 'cloudinary' });
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+  });
+
+  const signedUrl = (ref, expiresInSeconds) => cloudinary.utils.private_download_url(ref.key, ref.format || '', {
+    resource_type: ref.resourceType || 'raw',
+    type: 'private',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
+  return {
+    name: 'cloudinary',
+    put({ buffer, folder, contentType }) {
+      return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          { resource_type: 'auto', type: 'private', folder },
+          (error, result) => {
+            if (error || !result?.public_id) {
+              console.error("Cloudinary Upload Error:", error);
+              return reject(new StorageError('Failed to upload file to storage.', { driver: 'cloudinary' }));
+            }
+            resolve({ key: result.public_id, size: result.bytes, contentType, resourceType: result.resource_type, format: result.format || null });
+          }
+        );
+        uploadStream.end(buffer);
+      });
+    },
+    async get(ref) {
+      const response = await axios.get(signedUrl(ref, 60), { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    },
+    async remove(ref) {
+      await cloudinary.uploader.destroy(ref.key, { resource_type: ref.resourceType || 'raw', type: 'private' });
+    },
+    async downloadUrl(ref, { expiresInSeconds }) {
+      return signedUrl(ref, expiresInSeconds);
+    },
+  };
+}
+
+// --- Local disk driver ---
+// Download links point at GET /api/files/:token (routes/files.js) with a signed, expiring token.
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+function localPath(key) {
+  const filePath = path.resolve(LOCAL_ROOT, key);
+  if (!filePath.startsWith(LOCAL_ROOT + path.sep)) throw new StorageError('Invalid storage key.', { status: 400, driver: 'local' });
+  return filePath;
+}
+
+function createLocalDriver() {
+  return {
+    name: 'local',
+    async put({ buffer, fileName, folder, contentType }) {
+      const key = uniqueKey(folder, fileName);
+      const filePath = localPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length, contentType };
+    },
+    async get(ref) {
+      return fs.promises.readFile(localPath(ref.key));
+    },
+    async remove(ref) {
+      await fs.promises.unlink(localPath(ref.key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+    async downloadUrl(ref, { fileName, expiresInSeconds, baseUrl }) {
+      if (!signingSecret()) throw new StorageError('Set STORAGE_SIGNING_SECRET (or JWT_SECRET) to create download links.', { driver: 'local' });
+      const token = jwt.sign(
+        { purpose: 'download', key: ref.key, name: fileName, type: ref.contentType || null },
+        signingSecret(),
+        { expiresIn: expiresInSeconds }
+      );
+      return `${baseUrl}/api/files/${token}`;
+    },
+  };
+}
+
+// Returns { key, name, type } for a valid, unexpired local download token, otherwise null
+function verifyDownloadToken(token) {
+  try {
+    const payload = jwt.verify(token, signingSecret());
+    return payload.purpose === 'download' ? { key: payload.key, name: payload.name, type: payload.type, path: localPath(payload.key) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- S3-compatible driver ---
+function createS3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new StorageError('S3 storage is not configured (S3_BUCKET).', { driver: 's3' });
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined, // Fall back to the SDK's default credential chain (env, instance role...)
+  });
+
+  return {
+    name: 's3',
+    async put({ buffer, fileName, folder, contentType }) {
+      const key = uniqueKey(folder, fileName);
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType || undefined }));
+      return { key, size: buffer.length, contentType };
+    },
+    async get(ref) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: ref.key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+    async remove(ref) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: ref.key }));
+    },
+    async downloadUrl(ref, { fileName, expiresInSeconds }) {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: ref.key, ResponseContentDisposition: contentDisposition(fileName) });
+      return getSignedUrl(client, command, { expiresIn: expiresInSeconds });
+    },
+  };
+}
+
+const driverFactories = { cloudinary: createCloudinaryDriver, local: createLocalDriver, s3: createS3Driver };
+const drivers = {};
+
+function getDriver(name) {
+  if (!DRIVERS.includes(name)) throw new StorageError(`Unknown storage driver "${name}". Use cloudinary, local or s3.`);
+  if (!drivers[name]) drivers[name] = driverFactories[name]();
+  return drivers[name];
+}
+
+function defaultDriverName() {
+  const configured = (process.env.STORAGE_DRIVER || '').toLowerCase();
+  if (configured) return configured;
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+}
+
+// --- Public API ---
+// Store a new file with the configured driver; returns the ref to save on the submission
+async function storeFile({ buffer, fileName, folder, contentType }) {
+  const driver = getDriver(defaultDriverName());
+  const stored = await driver.put({ buffer, fileName, folder, contentType });
+  return { driver: driver.name, ...stored };
+}
+
+async function readFile(ref) {
+  return getDriver(ref.driver).get(ref);
+}
+
+async function deleteFile(ref) {
+  return getDriver(ref.driver).remove(ref);
+}
+
+// Returns { url, expiresAt }
+async function createDownloadUrl(ref, { fileName, baseUrl, expiresInSeconds = DOWNLOAD_URL_TTL_SECONDS } = {}) {
+  const url = await getDriver(ref.driver).downloadUrl(ref, { fileName, expiresInSeconds, baseUrl });
+  return { url, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) };
+}
+
+// Storage ref of a submission. Older submissions only have a fileUrl: files from the old
+// disk upload middleware (/uploads/<name>) map onto the local driver; anything else
+// (public Cloudinary URLs) has no ref and is read from fileUrl directly.
+function storageRefFor(submission) {
+  if (submission.storage?.key) return submission.storage;
+  const legacyLocal = (submission.fileUrl || '').match(/\/uploads\/([^/?#]+)$/);
+  return legacyLocal ? { driver: 'local', key: decodeURIComponent(legacyLocal[1]) } : null;
+}
+
+const hasStoredFile = (submission) => Boolean(storageRefFor(submission) || submission.fileUrl);
+
+async function readSubmissionFile(submission) {
+  const ref = storageRefFor(submission);
+  if (ref) return readFile(ref);
+  const response = await axios.get(submission.fileUrl, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+}
+
+module.exports = {
+  storeFile,
+  readFile,
+  deleteFile,
+  createDownloadUrl,
+  storageRefFor,
+  hasStoredFile,
+  readSubmissionFile,
+  verifyDownloadToken,
+  StorageError,
+  DOWNLOAD_URL_TTL_SECONDS,
+};
@@ -0,0 +1,77 @@
+// backend/utils/structuredOutput.js
+// LLM calls that must answer with JSON matching a JSON schema. The schema is sent to the
+// provider (utils/llm.js `schema` option) and the response is validated here as well, since
+// not every provider enforces it. A response that does not match is shown back to the model
+// with the problems, and it gets one more try (attempts = 2). Metered, all attempts count as one
+// analysis (utils/usage.js).
+const Ajv = require('ajv');
+const { complete } = require('./llm');
+const { meteredAnalysis, meteredComplete } = require('./usage');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiledSchemas = new WeakMap();
+
+class StructuredOutputError extends Error {
+  constructor(message, problems = [], responses = []) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.status = 502;
+    this.problems = problems;
+    this.responses = responses; // See completeStructured
+  }
+}
+
+function validatorFor(schema) {
+  if (!compiledSchemas.has(schema)) compiledSchemas.set(schema, ajv.compile(schema));
+  return compiledSchemas.get(schema);
+}
+
+// Some models wrap JSON in a ```json fence even in JSON mode
+const stripCodeFence = (text) => (text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+
+const describeSchemaErrors = (errors) => (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+
+// Returns a list of problems with `text` as a response for `schema` (plus `check`), and the parsed value
+function checkResponse(text, schema, check) {
+  let value;
+  try {
+    value = JSON.parse(stripCodeFence(text));
+  } catch (parseError) {
+    return { problems: ['Response was not valid JSON.'] };
+  }
+  const validate = validatorFor(schema);
+  if (!validate(value)) return { problems: describeSchemaErrors(validate.errors) };
+  return { value, problems: check ? check(value) : [] };
+}
+
+// completeStructured({ meter, task, messages, schema: { name, schema }, check, temperature, maxTokens, attempts })
+//   meter   usage meter (utils/usage.js); null for unmetered calls
+//   check   optional value => [problems] for rules a JSON schema cannot express
+// Returns { value, completion, attempts, responses: [{ text, usage }] } (one response per attempt);
+// throws StructuredOutputError when no attempt matched.
+async function completeStructured({ meter = null, task, messages, schema, check = null, temperature, maxTokens, attempts = 2 }) {
+  if (meter && !meter.usageRecord) {
+    return meteredAnalysis(meter, task, analysisMeter => completeStructured({ meter: analysisMeter, task, messages, schema, check, temperature, maxTokens, attempts }));
+  }
+  const conversation = [...messages];
+  const responses = [];
+  let problems = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const args = { task, messages: conversation, temperature, maxTokens, schema };
+    const completion = meter ? await meteredComplete(meter, args) : await complete(args);
+    responses.push({ text: completion.text, usage: completion.usage });
+    const result = checkResponse(completion.text, schema.schema, check);
+    if (!result.problems.length) return { value: result.value, completion, attempts: attempt, responses };
+
+    problems = result.problems;
+    console.warn(`${schema.name} response failed validation (attempt ${attempt}/${attempts}):`, problems.slice(0, 5));
+    conversation.push(
+      { role: 'assistant', content: completion.text || '' },
+      { role: 'user', content: `That response does not match the required format:\n- ${problems.slice(0, 20).join('\n- ')}\nRespond again with the complete corrected JSON only.` }
+    );
+  }
+  throw new StructuredOutputError(`The AI response did not match the expected ${schema.name} format.`, problems, responses);
+}
+
+module.exports = { completeStructured, StructuredOutputError };
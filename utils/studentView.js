@@ -0,0 +1,29 @@
+// backend/utils/studentView.js
+// Shapes a (lean) submission for the student who submitted it.
+// Grading fields stay hidden until the instructor releases feedback, and
+// integrity-check results (AI detection, plagiarism) are staff-only.
+// Assignment lists shown to students select STUDENT_ASSIGNMENT_FIELDS, which leaves out the
+// generated content (exemplar answers, rubric) and integration settings.
+
+const GRADE_FIELDS = ['score', 'rawScore', 'subScores', 'overallFeedback', 'inlineComments', 'feedback'];
+const STAFF_ONLY_FIELDS = ['aiCheckerResults', 'plagiarismResults', 'fingerprints', 'aiDraftGrade'];
+
+const STUDENT_ASSIGNMENT_FIELDS = 'type title course dueDate allowLateSubmissions latePolicy maxAttempts description learningObjectives totalPoints';
+
+function toStudentSubmission(submission) {
+  const view = { ...submission };
+  STAFF_ONLY_FIELDS.forEach(field => delete view[field]);
+
+  if (!submission.feedbackReleased) {
+    GRADE_FIELDS.forEach(field => delete view[field]);
+    // Don't reveal that grading has happened before release
+    if (view.status === 'graded') view.status = 'pending';
+    return view;
+  }
+
+  view.inlineComments = (submission.inlineComments || []).map(comment => ({ ...comment, id: comment.id || comment._id?.toString(), _id: undefined }));
+  view.subScores = (submission.subScores || []).map(score => ({ ...score, id: score.id || score._id?.toString(), _id: undefined }));
+  return view;
+}
+
+module.exports = { toStudentSubmission, STUDENT_ASSIGNMENT_FIELDS };
@@ -0,0 +1,163 @@
+// backend/utils/submissionChecks.js
+// The automated checks run on every submission: relevance to the assignment, AI authorship
+// likelihood and plagiarism. They throw on provider/database errors so the submission
+// worker can retry them; they return null when the text is too short to check.
+// With a usage meter (utils/usage.js) the AI calls count against the paying account's plan;
+// each check is one analysis.
+// Long texts are split into chunks (utils/chunking.js): the relevance check sees excerpts from
+// across the document, and the AI check scores each chunk and reports them as sections.
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { complete } = require('./llm');
+const { meteredAnalysis, meteredComplete } = require('./usage');
+const { compareFingerprints } = require('./plagiarism');
+const { chunkDocument, sampleChunks, chunkLabel } = require('./chunking');
+
+const MIN_RELEVANCE_LENGTH = 20;
+const MIN_CHECK_LENGTH = 50;
+
+const RELEVANCE_LABELS = ['HIGHLY_RELEVANT', 'SOMEWHAT_RELEVANT', 'OFF_TOPIC'];
+const RELEVANCE_EXCERPTS = 6; // Excerpts shown to the relevance check
+const RELEVANCE_EXCERPT_CHARS = 400;
+const AI_CHECK_MAX_CHUNKS = 8; // Longer documents are sampled evenly
+const CONFIDENCE_LEVELS = ['Low', 'Medium', 'High'];
+
+const completeFor = (meter, args) => (meter ? meteredComplete(meter, args) : complete(args));
+
+// --- Relevance Check ---
+async function checkRelevance(submissionContent, assignment, meter = null) {
+  if (!submissionContent || submissionContent.trim().length < MIN_RELEVANCE_LENGTH) {
+    console.log("Skipping relevance check due to insufficient content.");
+    return null;
+  }
+  const assignmentContext = assignment.description || assignment.title || "the assigned topic";
+  console.log(`Checking relevance for assignment: "${assignmentContext}"`);
+  // The opening of each section (or part) of the document, not just its first paragraph
+  const allChunks = chunkDocument(submissionContent);
+  const excerpts = sampleChunks(allChunks, RELEVANCE_EXCERPTS).map(chunk => `[${chunkLabel(chunk, allChunks.length)}]\n${chunk.text.trim().substring(0, RELEVANCE_EXCERPT_CHARS)}`).join('\n\n');
+  const relevancePrompt = `Assignment Context: "${assignmentContext}"\n\nSubmission Excerpts (the start of each part of the document):\n"""\n${excerpts}\n"""\n\nBased ONLY on the Context and Excerpts, is the submission highly relevant, somewhat relevant, or clearly off-topic? Respond with only one word: HIGHLY_RELEVANT, SOMEWHAT_RELEVANT, or OFF_TOPIC.`;
+
+  const completion = await completeFor(meter, { task: 'relevance', messages: [{ role: "user", content: relevancePrompt }], temperature: 0.2, maxTokens: 10 });
+  const resultText = completion.text.toUpperCase();
+  const relevance = RELEVANCE_LABELS.includes(resultText) ? resultText : 'SOMEWHAT_RELEVANT'; // Default
+  console.log("AI Relevance Check Result:", relevance);
+  return relevance;
+}
+
+// --- AI Content Check ---
+async function checkChunkAuthorship(chunkText, meter) {
+  const prompt = `
+    Analyze the following text and estimate the likelihood that it was primarily written by an AI versus a human. Provide an overall estimated percentage score for human authorship (0-100) and a brief confidence level (High, Medium, Low).
+
+    Format the response *only* as JSON, like this example:
+    {
+      "score": 85,
+      "confidence": "Medium"
+    }
+
+    Text to analyze:
+    """
+    ${chunkText}
+    """
+  `;
+
+  const { text: resultJson } = await completeFor(meter, {
+    task: 'aiCheck',
+    messages: [{ role: "user", content: prompt }],
+    temperature: 0.3,
+    json: true, // Request JSON output
+    maxTokens: 100
+  });
+  if (!resultJson) throw new Error("AI Check: No content in response.");
+
+  const parsedResult = JSON.parse(resultJson);
+  // Basic validation of the parsed result
+  if (typeof parsedResult.score !== 'number' || typeof parsedResult.confidence !== 'string') {
+    throw new Error("AI Check: Parsed result has unexpected format.");
+  }
+  return { score: Math.min(Math.max(parsedResult.score, 0), 100), confidence: parsedResult.confidence };
+}
+
+// Overall confidence: the most common level, or Low when the sections disagree strongly
+function combinedConfidence(results) {
+  const scores = results.map(r => r.score);
+  if (Math.max(...scores) - Math.min(...scores) > 40) return 'Low';
+  const counts = new Map();
+  results.forEach(({ confidence }) => counts.set(confidence, (counts.get(confidence) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || CONFIDENCE_LEVELS.indexOf(a[0]) - CONFIDENCE_LEVELS.indexOf(b[0]))[0][0];
+}
+
+async function performAICheck(submissionContent, meter = null) {
+  console.log("Performing AI content check...");
+  if (!submissionContent || submissionContent.trim().length < MIN_CHECK_LENGTH) { // Need sufficient text
+    console.warn("Content too short for meaningful AI check.");
+    return null;
+  }
+
+  // Score each chunk (long documents are sampled); very short trailing chunks are skipped
+  const allChunks = chunkDocument(submissionContent);
+  const sampled = sampleChunks(allChunks, AI_CHECK_MAX_CHUNKS).filter(chunk => chunk.text.trim().length >= MIN_CHECK_LENGTH);
+  const scoreChunks = async (chunkMeter) => {
+    const scored = [];
+    for (const chunk of (sampled.length ? sampled : allChunks.slice(0, 1))) {
+      scored.push({ chunk, ...(await checkChunkAuthorship(chunk.text, chunkMeter)) });
+    }
+    return scored;
+  };
+  const results = meter ? await meteredAnalysis(meter, 'aiCheck', scoreChunks) : await scoreChunks(null);
+
+  // Overall score weighted by how much text each chunk holds
+  const totalChars = results.reduce((sum, r) => sum + r.chunk.text.length, 0);
+  const result = {
+    score: Math.round(results.reduce((sum, r) => sum + r.score * r.chunk.text.length, 0) / totalChars),
+    confidence: results.length === 1 ? results[0].confidence : combinedConfidence(results),
+    details: results.map(({ chunk, score }) => ({
+      section: chunkLabel(chunk, allChunks.length),
+      startIndex: chunk.start,
+      endIndex: chunk.end,
+      aiProbability: 100 - score,
+      humanProbability: score,
+    })),
+  };
+  console.log(`AI Check Result: score ${result.score} (${result.confidence}) from ${results.length} of ${allChunks.length} chunk(s)`);
+  return result;
+}
+
+// --- Plagiarism Check (local fingerprint comparison) ---
+// Compares against every other submission for the same assignment and for the
+// other assignments in the same course.
+async function performPlagiarismCheck(submissionContent, fingerprints, assignment, submitter) {
+  console.log("Performing Plagiarism check...");
+  if (!submissionContent || submissionContent.trim().length < MIN_CHECK_LENGTH) {
+    console.warn("Content too short for plagiarism check.");
+    return null;
+  }
+
+  // Assignments not yet linked to a course are only compared within themselves
+  const courseId = assignment.course?._id || assignment.course;
+  const courseAssignments = await Assignment.find(courseId ? { course: courseId } : { _id: assignment._id })
+    .select('_id title')
+    .lean();
+  const assignmentTitles = new Map(courseAssignments.map(a => [a._id.toString(), a.title]));
+
+  const candidates = await Submission.find({ assignmentId: { $in: [...assignmentTitles.keys()] } })
+    .select('fingerprints assignmentId submittedBy studentName')
+    .lean();
+
+  const sources = candidates
+    // Skip the student's own work on this assignment (this submission and resubmissions)
+    .filter(sub => !(sub.assignmentId.toString() === assignment._id.toString()
+      && sub.submittedBy?.toString() === submitter.id.toString()
+      && (sub.studentName || null) === (submitter.name || null)))
+    .map(sub => ({
+      id: sub._id,
+      label: `${sub.studentName || 'Unknown Student'} - ${assignmentTitles.get(sub.assignmentId.toString()) || 'Assignment'}`,
+      fingerprints: sub.fingerprints,
+    }));
+
+  const result = compareFingerprints(submissionContent, fingerprints, sources);
+  console.log(`Plagiarism check compared against ${sources.length} submissions: ${result.score}% original, ${result.matches.length} matches`);
+  return result;
+}
+
+module.exports = { checkRelevance, performAICheck, performPlagiarismCheck, RELEVANCE_LABELS };
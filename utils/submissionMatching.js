@@ -0,0 +1,90 @@
+// backend/utils/submissionMatching.js
+// Matches files from a bulk upload (e.g. an LMS export ZIP) to students. A roster CSV,
+// when given, takes precedence; otherwise the file path is matched against enrolled
+// students by email, then by name. Handles the usual export layouts:
+//   Canvas:  smithjohn_12345_67890_essay.pdf  (last name + first name)
+//   Moodle:  John Smith_12345_assignsubmission_file_/essay.pdf
+//   Generic: John_Smith - essay.docx, jsmith@uni.edu.pdf
+
+// Lowercase letters only, accents removed
+const normalizeName = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+// "John Smith" -> ['johnsmith', 'smithjohn']
+function nameKeys(name) {
+  const parts = (name || '').trim().split(/\s+/).map(normalizeName).filter(Boolean);
+  if (!parts.length) return [];
+  const keys = new Set([parts.join('')]);
+  if (parts.length > 1) keys.add([parts[parts.length - 1], ...parts.slice(0, -1)].join(''));
+  return [...keys];
+}
+
+// Every run of consecutive letter tokens in a path segment, joined: "John_Smith-2" -> john, johnsmith, smith
+function tokenRuns(segment) {
+  const tokens = segment
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+  const runs = new Set();
+  for (let start = 0; start < tokens.length; start++) {
+    let joined = '';
+    for (let end = start; end < tokens.length; end++) {
+      joined += tokens[end];
+      runs.add(joined);
+    }
+  }
+  return runs;
+}
+
+const pathSegments = (filePath) => filePath
+  .split('/')
+  .filter(Boolean)
+  .map((segment, index, all) => (index === all.length - 1 ? segment.replace(/\.[^.]+$/, '') : segment));
+
+// Roster columns (headers normalized by utils/csv): filename|file, email|studentemail, name|studentname|student
+const rosterFileName = (row) => (row.filename || row.file || '').toLowerCase();
+
+function findRosterRow(filePath, rosterRows) {
+  const lowerPath = filePath.toLowerCase();
+  const baseName = lowerPath.split('/').pop();
+  return rosterRows.find(row => rosterFileName(row) && rosterFileName(row) === baseName)
+    || rosterRows.find(row => rosterFileName(row) && lowerPath.includes(rosterFileName(row)))
+    || null;
+}
+
+// Returns { student, studentName, matchedBy } or { reason } when no single student matches.
+// `student` is null for roster rows naming someone without an enrolled account.
+function matchFileToStudent(filePath, students, rosterRows = []) {
+  const rosterRow = findRosterRow(filePath, rosterRows);
+  if (rosterRow) {
+    const email = (rosterRow.email || rosterRow.studentemail || '').toLowerCase();
+    const rosterName = rosterRow.name || rosterRow.studentname || rosterRow.student || '';
+    const student = (email && students.find(s => (s.email || '').toLowerCase() === email))
+      || (rosterName && students.find(s => normalizeName(s.name) === normalizeName(rosterName)))
+      || null;
+    if (student) return { student, studentName: student.name, matchedBy: 'roster' };
+    if (rosterName) return { student: null, studentName: rosterName, matchedBy: 'roster' };
+    return { reason: `Roster row for "${rosterFileName(rosterRow)}" does not identify an enrolled student.` };
+  }
+
+  const lowerPath = filePath.toLowerCase();
+  const segments = pathSegments(filePath);
+
+  const byEmail = students.filter(s => s.email && lowerPath.includes(s.email.toLowerCase()));
+  if (byEmail.length === 1) return { student: byEmail[0], studentName: byEmail[0].name, matchedBy: 'email' };
+
+  const runs = new Set(segments.flatMap(segment => [...tokenRuns(segment)]));
+  const byName = students.filter(s => nameKeys(s.name).some(key => runs.has(key)));
+  if (byName.length === 1) return { student: byName[0], studentName: byName[0].name, matchedBy: 'name' };
+  if (byName.length > 1) {
+    return { reason: `File name matches several students: ${byName.map(s => s.name).join(', ')}.` };
+  }
+  return { reason: 'No enrolled student matches this file name.' };
+}
+
+module.exports = { matchFileToStudent };
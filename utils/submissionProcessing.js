@@ -0,0 +1,269 @@
+// backend/utils/submissionProcessing.js
+// Background processing of new submissions. POST /api/submissions stores the file and
+// enqueues a Job; the worker here extracts the text and runs the relevance, AI and
+// plagiarism checks as separate steps, retrying failed steps with exponential backoff.
+//
+// A claimed job carries a lease (Job.lockToken). The worker refreshes it while it runs and every
+// write it makes is conditional on it, so a worker whose job was taken over as stale stops
+// instead of racing the new holder.
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const Submission = require('../models/Submission');
+const { fetchSubmissionTextWithDetails } = require('./textExtraction');
+const { extractionUpdate } = require('./submissionText');
+const { fingerprintText } = require('./plagiarism');
+const { checkRelevance, performAICheck, performPlagiarismCheck } = require('./submissionChecks');
+const { QuotaError } = require('./usage');
+
+const PROCESSING_STEPS = ['extract', 'relevance', 'aiCheck', 'plagiarism'];
+const CHECK_STEPS = PROCESSING_STEPS.filter(name => name !== 'extract'); // Depend on the stored text
+
+const MAX_STEP_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const BASE_BACKOFF_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000; // A lock not refreshed for this long belongs to a crashed worker
+const LEASE_REFRESH_MS = STALE_LOCK_MS / 5;
+
+class LeaseLostError extends Error {
+  constructor(job) {
+    super(`Lost the lock on job ${job._id}; another worker has taken it over.`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+const backoffDelay = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// AI checks are billed to the assignment owner's plan
+const meterFor = ({ submission, assignment }) => ({ account: assignment.createdBy, user: submission.submittedBy, submission: submission._id });
+
+// An exhausted quota will not recover within the retry window, so the step is skipped instead
+const skipOverQuota = (error) => {
+  if (error instanceof QuotaError) return { note: `Skipped: ${error.message}` };
+  throw error;
+};
+
+// Each handler returns { update } (fields to set on the submission) or { note } when it had nothing to check
+const stepHandlers = {
+  extract: async (context) => {
+    const result = await fetchSubmissionTextWithDetails(context.submission);
+    context.text = result.text || '';
+    return { update: extractionUpdate({ ...result, text: context.text }) };
+  },
+  relevance: async (context) => {
+    const relevance = await checkRelevance(context.text, context.assignment, meterFor(context)).catch(skipOverQuota);
+    if (relevance?.note) return relevance;
+    return relevance ? { update: { relevance } } : { note: 'Content too short for a relevance check.' };
+  },
+  aiCheck: async (context) => {
+    const aiCheckerResults = await performAICheck(context.text, meterFor(context)).catch(skipOverQuota);
+    if (aiCheckerResults?.note) return aiCheckerResults;
+    return aiCheckerResults ? { update: { aiCheckerResults } } : { note: 'Content too short for an AI check.' };
+  },
+  plagiarism: async ({ text, submission, assignment }) => {
+    const submitter = { id: submission.submittedBy, name: submission.studentName };
+    const plagiarismResults = await performPlagiarismCheck(text, fingerprintText(text), assignment, submitter);
+    return plagiarismResults ? { update: { plagiarismResults } } : { note: 'Content too short for a plagiarism check.' };
+  },
+};
+
+// --- Queue ---
+async function enqueueSubmissionProcessing(submissionId, steps = PROCESSING_STEPS) {
+  return Job.create({
+    type: 'processSubmission',
+    submission: submissionId,
+    steps: steps.map(name => ({ name })),
+  });
+}
+
+// Re-run the checks on text that was replaced outside the worker (re-extraction). The old
+// results described the previous text, so they are cleared until the new ones are in.
+async function enqueueSubmissionChecks(submissionId) {
+  await Submission.updateOne(
+    { _id: submissionId },
+    { $set: { relevance: null, aiCheckerResults: null, plagiarismResults: null, processingStatus: 'processing' } }
+  );
+  return enqueueSubmissionProcessing(submissionId, CHECK_STEPS);
+}
+
+async function claimNextJob() {
+  const now = new Date();
+  await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', lockedAt: null, lockToken: null, runAt: now } }
+  );
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now } },
+    { $set: { status: 'running', lockedAt: now, lockToken: crypto.randomUUID() } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Refresh the lock; throws LeaseLostError once another worker holds the job
+async function renewLease(job) {
+  const result = await Job.updateOne({ _id: job._id, lockToken: job.lockToken }, { $set: { lockedAt: new Date() } });
+  if (!result.matchedCount) throw new LeaseLostError(job);
+}
+
+// job.save() for the worker: only while it still holds the lease
+async function saveLeasedJob(job, { release = false } = {}) {
+  const lock = release ? { lockedAt: null, lockToken: null } : { lockedAt: new Date() };
+  const result = await Job.updateOne(
+    { _id: job._id, lockToken: job.lockToken },
+    { $set: { steps: job.steps.map(step => step.toObject()), status: job.status, runAt: job.runAt, ...lock } }
+  );
+  if (!result.matchedCount) throw new LeaseLostError(job);
+}
+
+// Put a failed (or skipped) step back on the queue. Retrying extraction also re-runs the checks that depend on it.
+function requeueStep(job, stepName) {
+  const names = stepName === 'extract' ? PROCESSING_STEPS : [stepName];
+  job.steps.forEach(step => {
+    if (!names.includes(step.name)) return;
+    if (step.name !== stepName && step.status === 'completed') return;
+    Object.assign(step, { status: 'pending', attempts: 0, lastError: null, note: null, nextRunAt: null, startedAt: null, finishedAt: null });
+  });
+  job.status = 'queued';
+  job.runAt = new Date();
+}
+
+// Shape returned by the status endpoint. Error messages are internal (provider and storage
+// errors), so only staff get them.
+const describeJob = (job, { includeErrors = false } = {}) => ({
+  id: job._id,
+  status: job.status,
+  runAt: job.runAt,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  steps: job.steps.map(step => ({
+    name: step.name,
+    status: step.status,
+    attempts: step.attempts,
+    maxAttempts: MAX_STEP_ATTEMPTS,
+    lastError: includeErrors ? step.lastError : null,
+    note: step.note,
+    nextRunAt: step.nextRunAt,
+    startedAt: step.startedAt,
+    finishedAt: step.finishedAt,
+  })),
+});
+
+// --- Worker ---
+async function runStep(job, step, context) {
+  step.status = 'running';
+  step.startedAt = new Date();
+  step.attempts += 1;
+  await saveLeasedJob(job); // Make progress visible to the status endpoint
+
+  try {
+    const { update, note } = await stepHandlers[step.name](context);
+    await renewLease(job); // Results of a job taken over meanwhile are dropped
+    if (update) await Submission.updateOne({ _id: context.submission._id }, { $set: update });
+    Object.assign(step, { status: note ? 'skipped' : 'completed', note: note || null, lastError: null, nextRunAt: null });
+  } catch (error) {
+    if (error instanceof LeaseLostError) throw error;
+    console.error(`Submission ${context.submission._id}: step "${step.name}" failed (attempt ${step.attempts}/${MAX_STEP_ATTEMPTS}):`, error.message);
+    step.lastError = error.message;
+    if (step.attempts >= MAX_STEP_ATTEMPTS) {
+      step.status = 'failed';
+      step.nextRunAt = null;
+    } else {
+      step.status = 'pending';
+      step.nextRunAt = new Date(Date.now() + backoffDelay(step.attempts));
+    }
+  }
+  step.finishedAt = new Date();
+  await saveLeasedJob(job);
+}
+
+async function processJob(job) {
+  const submission = await Submission.findById(job.submission).populate('assignmentId', 'title description course createdBy');
+  if (!submission) {
+    console.warn(`Submission ${job.submission} no longer exists; dropping job ${job._id}.`);
+    await Job.deleteOne({ _id: job._id });
+    return;
+  }
+  // Steps after 'extract' read the stored text (from this run or an earlier one); check-only jobs
+  // have no extract step
+  const context = { job, submission, assignment: submission.assignmentId, text: submission.content || '' };
+  const extractStep = job.steps.find(step => step.name === 'extract') || { status: 'completed' };
+
+  for (const step of job.steps) {
+    if (!['pending', 'running'].includes(step.status)) continue; // 'running' here means a crashed worker's step
+    if (step.nextRunAt && step.nextRunAt > new Date()) continue;
+    if (step !== extractStep && extractStep.status !== 'completed') {
+      if (extractStep.status === 'failed') {
+        Object.assign(step, { status: 'skipped', note: 'Text extraction failed.', nextRunAt: null });
+      }
+      continue;
+    }
+    await runStep(job, step, context);
+  }
+
+  // Steps waiting on a backoff keep the job queued until the earliest retry is due
+  const waiting = job.steps.filter(step => step.status === 'pending' || step.status === 'running');
+  if (waiting.length) {
+    const retryTimes = waiting.filter(step => step.nextRunAt).map(step => step.nextRunAt.getTime());
+    job.status = 'queued';
+    job.runAt = retryTimes.length ? new Date(Math.min(...retryTimes)) : new Date();
+  } else {
+    job.status = job.steps.some(step => step.status === 'failed') ? 'failed' : 'completed';
+  }
+  await saveLeasedJob(job, { release: true });
+
+  const processingStatus = waiting.length ? 'processing' : (job.status === 'failed' ? 'failed' : 'ready');
+  await Submission.updateOne({ _id: submission._id }, { $set: { processingStatus } });
+  console.log(`Submission ${submission._id}: processing job ${job._id} is ${job.status}`);
+}
+
+// processJob with the lease refreshed in the background, so long steps (OCR, slow provider
+// retries) don't look stale
+async function processLeasedJob(job) {
+  const heartbeat = setInterval(() => {
+    renewLease(job).catch(error => console.warn(`Job ${job._id}: ${error.message}`));
+  }, LEASE_REFRESH_MS);
+  heartbeat.unref();
+  try {
+    await processJob(job);
+  } catch (error) {
+    if (!(error instanceof LeaseLostError)) throw error;
+    console.warn(`Submission ${job.submission}: ${error.message} Stopping this run.`);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Poll the queue until stopped. Returns { stop }.
+function startSubmissionWorker({ pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000 } = {}) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      let job;
+      while (!stopped && (job = await claimNextJob())) {
+        await processLeasedJob(job);
+      }
+    } catch (error) {
+      console.error("Submission worker error:", error);
+    }
+    if (!stopped) timer = setTimeout(tick, pollIntervalMs);
+  };
+
+  console.log(`Submission worker started (polling every ${pollIntervalMs}ms)`);
+  tick();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  PROCESSING_STEPS,
+  enqueueSubmissionProcessing,
+  enqueueSubmissionChecks,
+  requeueStep,
+  describeJob,
+  startSubmissionWorker,
+};
@@ -0,0 +1,88 @@
+// backend/utils/submissionText.js
+// The canonical text of a submission: extracted once, stored in Submission.content with a
+// content hash and the extractor version, then served from the database. Inline comment
+// offsets (startIndex/endIndex) refer to this exact text.
+const crypto = require('crypto');
+const Submission = require('../models/Submission');
+const { fetchSubmissionTextWithDetails, EXTRACTOR_VERSION } = require('./textExtraction');
+const { fingerprintText } = require('./plagiarism');
+const { hasStoredFile } = require('./storage');
+
+const hashText = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+// Submission fields to $set for freshly extracted text
+function extractionUpdate({ text, method, ocrConfidence, ocrPages }) {
+  return {
+    content: text,
+    fingerprints: fingerprintText(text).map(fp => fp.hash),
+    extraction: {
+      method,
+      ocrConfidence,
+      ocrPages,
+      contentHash: hashText(text),
+      extractorVersion: EXTRACTOR_VERSION,
+      extractedAt: new Date(),
+    },
+  };
+}
+
+// Stored text; submissions made before text was persisted are extracted (and stored) on first read
+async function getSubmissionText(submission) {
+  if (submission.extraction?.contentHash || !hasStoredFile(submission)) return submission.content || '';
+  const result = await fetchSubmissionTextWithDetails(submission);
+  await Submission.updateOne({ _id: submission._id }, { $set: extractionUpdate(result) });
+  return result.text;
+}
+
+// Move a comment's range to where its text now appears (closest occurrence to the old position)
+function relocateRange(oldText, newText, startIndex, endIndex) {
+  const quote = oldText.slice(startIndex, endIndex);
+  if (!quote.trim()) return null;
+  let best = -1;
+  for (let index = newText.indexOf(quote); index !== -1; index = newText.indexOf(quote, index + 1)) {
+    if (best === -1 || Math.abs(index - startIndex) < Math.abs(best - startIndex)) best = index;
+  }
+  return best === -1 ? null : { startIndex: best, endIndex: best + quote.length };
+}
+
+// Re-run extraction on the stored file. When the text changes, inline comments are moved to
+// where their text appears in the new version; comments whose text is gone keep their old
+// offsets and are reported as unplaced.
+async function reextractSubmissionText(submission) {
+  const previousText = submission.content || '';
+  const previousHash = submission.extraction?.contentHash || null;
+  const result = await fetchSubmissionTextWithDetails(submission);
+  const update = extractionUpdate(result);
+  const changed = update.extraction.contentHash !== previousHash;
+
+  const unplacedComments = [];
+  let relocatedComments = 0;
+  // Without a previous hash there is no stored text to compare against (legacy submission)
+  if (changed && previousHash && submission.inlineComments?.length) {
+    update.inlineComments = submission.inlineComments.map(comment => {
+      const plain = comment.toObject ? comment.toObject() : comment;
+      const range = relocateRange(previousText, result.text, plain.startIndex, plain.endIndex);
+      if (!range) {
+        unplacedComments.push(plain._id);
+        return plain;
+      }
+      if (range.startIndex !== plain.startIndex) relocatedComments++;
+      return { ...plain, ...range };
+    });
+  }
+
+  await Submission.updateOne({ _id: submission._id }, { $set: update });
+  return {
+    changed,
+    previousHash,
+    contentHash: update.extraction.contentHash,
+    extractorVersion: EXTRACTOR_VERSION,
+    method: result.method,
+    ocrConfidence: result.ocrConfidence,
+    characters: result.text.length,
+    relocatedComments,
+    unplacedComments,
+  };
+}
+
+module.exports = { extractionUpdate, getSubmissionText, reextractSubmissionText, hashText };
@@ -0,0 +1,80 @@
+// backend/utils/textDiff.js
+// Paragraph-level text diff (LCS) used to compare consecutive submission attempts.
+
+const MAX_LCS_CELLS = 4000000; // Guard against huge documents (memory is n * m)
+
+const toParagraphs = (text) => (text || '')
+  .split(/\r?\n/)
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+// Longest-common-subsequence table over two paragraph arrays
+function lcsTable(a, b) {
+  const cols = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+  return table;
+}
+
+// Returns { changes: [{ type: 'equal' | 'added' | 'removed', text }], stats: { added, removed, unchanged } }
+function diffText(oldText, newText) {
+  const oldParas = toParagraphs(oldText);
+  const newParas = toParagraphs(newText);
+
+  // Trim the common prefix/suffix first; typical resubmissions only change a few paragraphs
+  let prefix = 0;
+  while (prefix < oldParas.length && prefix < newParas.length && oldParas[prefix] === newParas[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < oldParas.length - prefix && suffix < newParas.length - prefix
+    && oldParas[oldParas.length - 1 - suffix] === newParas[newParas.length - 1 - suffix]) suffix++;
+
+  const a = oldParas.slice(prefix, oldParas.length - suffix);
+  const b = newParas.slice(prefix, newParas.length - suffix);
+  const middle = [];
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    // Too large to align precisely: report the middle section as replaced
+    a.forEach(text => middle.push({ type: 'removed', text }));
+    b.forEach(text => middle.push({ type: 'added', text }));
+  } else {
+    const cols = b.length + 1;
+    const table = lcsTable(a, b);
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push({ type: 'equal', text: a[i] });
+        i++; j++;
+      } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+        middle.push({ type: 'removed', text: a[i++] });
+      } else {
+        middle.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) middle.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) middle.push({ type: 'added', text: b[j++] });
+  }
+
+  const changes = [
+    ...oldParas.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...middle,
+    ...oldParas.slice(oldParas.length - suffix).map(text => ({ type: 'equal', text })),
+  ];
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  changes.forEach(change => {
+    if (change.type === 'added') stats.added++;
+    else if (change.type === 'removed') stats.removed++;
+    else stats.unchanged++;
+  });
+
+  return { changes, stats };
+}
+
+module.exports = { diffText };
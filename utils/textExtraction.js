@@ -0,0 +1,103 @@
+// backend/utils/textExtraction.js
+const pdf = require('pdf-parse');
+const mammoth = require("mammoth");
+const { OCR_ENABLED, recognizeImage, recognizePdf } = require('./ocr');
+const { hasStoredFile, readSubmissionFile } = require('./storage');
+const { extractDoc, extractOdt, extractPptx, extractHtml, extractRtf } = require('./documentFormats');
+
+// Stored with the extracted text; bump when a change to the extractors alters their output
+const EXTRACTOR_VERSION = 3;
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'tif', 'webp'];
+const MIN_PDF_TEXT_LENGTH = 20; // Less than this from pdf-parse means a scanned PDF
+
+// Plain-text formats are read as UTF-8, but only if they really are text
+function readPlainText(fileBuffer, fileName) {
+    if (fileBuffer.subarray(0, 8000).includes(0)) {
+        throw new Error(`Unsupported file type for content analysis: ${fileName} does not look like a text file.`);
+    }
+    return fileBuffer.toString('utf-8');
+}
+
+// Extension -> extractor(buffer, fileName). Each returns { text, ocr } (ocr is null unless OCR was used).
+const EXTRACTORS = {
+    pdf: async (fileBuffer, fileName) => {
+        const data = await pdf(fileBuffer); // pdf-parse works with buffers
+        // Scanned PDFs have no text layer; OCR their page images instead
+        if (data.text.trim().length < MIN_PDF_TEXT_LENGTH && OCR_ENABLED) {
+            console.log(`No text layer in ${fileName}; running OCR on its page images.`);
+            const result = await recognizePdf(fileBuffer);
+            if (result.pages) return { text: result.text, ocr: { confidence: result.confidence, pages: result.pages } };
+        }
+        return { text: data.text, ocr: null };
+    },
+    // mammoth needs a buffer property for memory storage
+    docx: async (fileBuffer) => ({ text: (await mammoth.extractRawText({ buffer: fileBuffer })).value, ocr: null }),
+    doc: async (fileBuffer) => ({ text: await extractDoc(fileBuffer), ocr: null }),
+    odt: async (fileBuffer) => ({ text: await extractOdt(fileBuffer), ocr: null }),
+    rtf: async (fileBuffer) => ({ text: extractRtf(fileBuffer), ocr: null }),
+    pptx: async (fileBuffer) => ({ text: await extractPptx(fileBuffer), ocr: null }),
+    html: async (fileBuffer) => ({ text: extractHtml(fileBuffer), ocr: null }),
+    htm: async (fileBuffer) => ({ text: extractHtml(fileBuffer), ocr: null }),
+    txt: async (fileBuffer, fileName) => ({ text: readPlainText(fileBuffer, fileName), ocr: null }),
+    md: async (fileBuffer, fileName) => ({ text: readPlainText(fileBuffer, fileName), ocr: null }),
+    csv: async (fileBuffer, fileName) => ({ text: readPlainText(fileBuffer, fileName), ocr: null }),
+    '': async (fileBuffer, fileName) => ({ text: readPlainText(fileBuffer, fileName), ocr: null }),
+};
+IMAGE_EXTENSIONS.forEach((ext) => {
+    EXTRACTORS[ext] = async (fileBuffer, fileName) => {
+        if (!OCR_ENABLED) throw new Error(`Cannot analyze content from image file (${fileName}): OCR is disabled.`);
+        try {
+            const result = await recognizeImage(fileBuffer);
+            return { text: result.text, ocr: { confidence: result.confidence, pages: 1 } };
+        } catch (ocrError) {
+            throw new Error(`Cannot read text from image file (${fileName}): ${ocrError.message || ocrError}`);
+        }
+    };
+});
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS).filter(Boolean);
+
+// Files without an extension are treated as plain text
+const extensionOf = (fileName) => (fileName?.includes('.') ? fileName.split('.').pop().toLowerCase() : '');
+const isSupportedFile = (fileName) => Boolean(EXTRACTORS[extensionOf(fileName)]);
+
+// Returns { text, method: 'parser' | 'ocr', ocrConfidence, ocrPages }
+async function extractTextWithDetails(fileBuffer, fileName) {
+    const fileExt = extensionOf(fileName);
+    console.log(`Extracting text from: ${fileName} (ext: ${fileExt})`);
+    let result;
+    try {
+        if (!fileBuffer) throw new Error(`No file data provided for ${fileName}`);
+        const extractor = EXTRACTORS[fileExt];
+        if (!extractor) {
+            throw new Error(`Unsupported file type for content analysis: .${fileExt} (${fileName}). Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+        }
+        result = await extractor(fileBuffer, fileName);
+        console.log(`Extracted text length: ${result.text.length} characters${result.ocr ? ` (OCR, ${result.ocr.confidence}% confidence)` : ''}`);
+    } catch (error) { console.error(`Error during text extraction for ${fileName}:`, error); throw error; }
+    return {
+        text: result.text,
+        method: result.ocr ? 'ocr' : 'parser',
+        ocrConfidence: result.ocr ? result.ocr.confidence : null,
+        ocrPages: result.ocr ? result.ocr.pages : null,
+    };
+}
+
+async function extractTextFromFile(fileBuffer, fileName) {
+    const { text } = await extractTextWithDetails(fileBuffer, fileName);
+    return text;
+}
+
+// Read a stored submission file and extract its text (with OCR details)
+async function fetchSubmissionTextWithDetails(submission) {
+    if (!hasStoredFile(submission)) { return { text: submission.content || '', method: 'parser', ocrConfidence: null, ocrPages: null }; }
+    return extractTextWithDetails(await readSubmissionFile(submission), submission.fileName);
+}
+
+async function fetchSubmissionText(submission) {
+    const { text } = await fetchSubmissionTextWithDetails(submission);
+    return text;
+}
+
+module.exports = { extractTextFromFile, extractTextWithDetails, fetchSubmissionText, fetchSubmissionTextWithDetails, isSupportedFile, SUPPORTED_EXTENSIONS, EXTRACTOR_VERSION };
@@ -0,0 +1,229 @@
+// backend/utils/usage.js
+// Usage metering and plan quotas (utils/plans.js).
+//
+// The account that pays for work on a course is the assignment's owner (Assignment.createdBy);
+// AI calls outside a course are billed to the caller. Plan quotas answer 402 (upgrade needed),
+// short-term request limits answer 429 (retry later).
+//
+// Quotas count analyses, not provider calls: a feedback run, a draft grade, a generated assignment
+// or one check on an upload is one UsageRecord, however many calls it takes (chunks of a long
+// text, repair retries). The record is reserved before the first call, so concurrent requests
+// cannot go over the quota.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const UsageRecord = require('../models/UsageRecord');
+const { complete } = require('./llm');
+const { planFor, isEnforced } = require('./plans');
+
+class QuotaError extends Error {
+  constructor(message, { status = 402, quota, limit, used, resetsAt = null, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = 'QuotaError';
+    this.status = status;
+    this.quota = quota;
+    this.limit = limit;
+    this.used = used;
+    this.resetsAt = resetsAt;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Quotas are per calendar month (UTC)
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const nextMonthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+async function loadPlan(accountId) {
+  const account = await User.findById(accountId).select('plan role').lean();
+  return planFor(account);
+}
+
+const aiAnalysesThisMonth = (accountId) => UsageRecord.countDocuments({ account: accountId, kind: 'ai', createdAt: { $gte: monthStart() } });
+
+const monthlyQuotaError = (plan, used) => new QuotaError(`Monthly AI analysis quota reached: the ${plan.name} plan includes ${plan.aiAnalysesPerMonth} per month. Upgrade the plan or wait for the quota to reset.`, {
+  quota: 'aiAnalysesPerMonth', limit: plan.aiAnalysesPerMonth, used, resetsAt: nextMonthStart(),
+});
+
+// meter: { account, user, submission, interactive }. Interactive analyses (a person waiting on
+// the response) are also rate limited per user. Returns the plan, or null when not enforced.
+async function assertAiAllowed(meter) {
+  if (!isEnforced()) return null;
+  const plan = await loadPlan(meter.account);
+
+  if (meter.interactive && meter.user && plan.aiRequestsPerMinute !== null) {
+    const recent = await UsageRecord.countDocuments({ user: meter.user, kind: 'ai', createdAt: { $gt: new Date(Date.now() - 60 * 1000) } });
+    if (recent >= plan.aiRequestsPerMinute) {
+      throw new QuotaError(`Too many AI requests: the ${plan.name} plan allows ${plan.aiRequestsPerMinute} per minute. Try again shortly.`, {
+        status: 429, quota: 'aiRequestsPerMinute', limit: plan.aiRequestsPerMinute, used: recent, retryAfterSeconds: 60,
+      });
+    }
+  }
+  if (plan.aiAnalysesPerMonth !== null) {
+    const used = await aiAnalysesThisMonth(meter.account);
+    if (used >= plan.aiAnalysesPerMonth) throw monthlyQuotaError(plan, used);
+  }
+  return plan;
+}
+
+// Checks the quotas and reserves one analysis. Returns the meter with the reserved record
+// (usageRecord) that the analysis' calls add to.
+async function beginAnalysis(meter, task) {
+  const plan = await assertAiAllowed(meter);
+  const record = await UsageRecord.create({
+    account: meter.account,
+    user: meter.user || null,
+    kind: 'ai',
+    task,
+    submission: meter.submission || null,
+  });
+
+  // Counting after the insert sees every concurrent reservation; when they add up to more than
+  // the quota this one steps back (at worst both step back, never both go ahead)
+  if (plan && plan.aiAnalysesPerMonth !== null) {
+    const used = await aiAnalysesThisMonth(meter.account);
+    if (used > plan.aiAnalysesPerMonth) {
+      await UsageRecord.deleteOne({ _id: record._id });
+      throw monthlyQuotaError(plan, used - 1);
+    }
+  }
+  return { ...meter, usageRecord: record._id, calls: 0 };
+}
+
+// Runs fn(analysisMeter) as one metered analysis. Calls made with analysisMeter skip the quota
+// checks and add their tokens to the analysis' record. An analysis that fails before any call
+// succeeded is not counted.
+async function meteredAnalysis(meter, task, fn) {
+  const analysisMeter = await beginAnalysis(meter, task);
+  try {
+    return await fn(analysisMeter);
+  } catch (error) {
+    if (!analysisMeter.calls) {
+      await UsageRecord.deleteOne({ _id: analysisMeter.usageRecord }).catch(deleteError => console.error('Could not release AI usage reservation:', deleteError.message));
+    }
+    throw error;
+  }
+}
+
+async function recordAiCall(meter, completion) {
+  await UsageRecord.updateOne({ _id: meter.usageRecord }, {
+    $set: { provider: completion.provider, model: completion.model },
+    $inc: {
+      calls: 1,
+      promptTokens: completion.usage?.prompt_tokens || 0,
+      completionTokens: completion.usage?.completion_tokens || 0,
+      totalTokens: completion.usage?.total_tokens || 0,
+    },
+  });
+}
+
+// utils/llm.js complete() metered as part of an analysis (meteredAnalysis); on its own the call
+// is an analysis by itself
+async function meteredComplete(meter, args) {
+  if (!meter.usageRecord) return meteredAnalysis(meter, args.task, analysisMeter => meteredComplete(analysisMeter, args));
+  const completion = await complete(args);
+  meter.calls += 1;
+  // The provider call already happened; a metering failure must not lose its result
+  await recordAiCall(meter, completion).catch(error => console.error('Could not record AI usage:', error.message));
+  return completion;
+}
+
+async function storageUsedBytes(accountId) {
+  const assignmentIds = await Assignment.find({ createdBy: accountId }).distinct('_id');
+  const [row] = await Submission.aggregate([
+    { $match: { assignmentId: { $in: assignmentIds } } },
+    { $group: { _id: null, bytes: { $sum: { $ifNull: ['$storage.size', 0] } } } },
+  ]);
+  return row?.bytes || 0;
+}
+
+// Before storing a new submission file of `bytes` for an assignment (needs _id and createdBy)
+async function assertUploadAllowed(assignment, bytes) {
+  if (!isEnforced()) return;
+  const plan = await loadPlan(assignment.createdBy);
+
+  if (plan.submissionsPerAssignment !== null) {
+    const used = await Submission.countDocuments({ assignmentId: assignment._id });
+    if (used >= plan.submissionsPerAssignment) {
+      throw new QuotaError(`Submission rejected: This assignment has reached the ${plan.name} plan limit of ${plan.submissionsPerAssignment} submissions.`, {
+        quota: 'submissionsPerAssignment', limit: plan.submissionsPerAssignment, used,
+      });
+    }
+  }
+  if (plan.storageBytes !== null) {
+    const used = await storageUsedBytes(assignment.createdBy);
+    if (used + bytes > plan.storageBytes) {
+      throw new QuotaError(`Submission rejected: The course owner's ${plan.name} plan storage (${Math.round(plan.storageBytes / 1024 / 1024)}MB) is full.`, {
+        quota: 'storageBytes', limit: plan.storageBytes, used,
+      });
+    }
+  }
+}
+
+function sendQuotaError(res, error) {
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(error.status).json({
+    message: error.message,
+    quota: { name: error.quota, limit: error.limit, used: error.used, resetsAt: error.resetsAt },
+  });
+}
+
+// Consumption against the quotas of a user's own plan
+async function getUsageSummary(userId) {
+  userId = new mongoose.Types.ObjectId(String(userId)); // aggregate() does not cast ids
+  const plan = await loadPlan(userId);
+  const since = monthStart();
+
+  const byTask = await UsageRecord.aggregate([
+    { $match: { account: userId, kind: 'ai', createdAt: { $gte: since } } },
+    // Records from before analyses were metered as a whole hold one call each
+    { $group: { _id: '$task', analyses: { $sum: 1 }, calls: { $sum: { $ifNull: ['$calls', 1] } }, tokens: { $sum: '$totalTokens' } } },
+    { $sort: { analyses: -1 } },
+  ]);
+  const aiUsed = byTask.reduce((sum, row) => sum + row.analyses, 0);
+  const storageUsed = await storageUsedBytes(userId);
+
+  const assignments = await Assignment.find({ createdBy: userId }).select('_id title').lean();
+  const counts = await Submission.aggregate([
+    { $match: { assignmentId: { $in: assignments.map(a => a._id) } } },
+    { $group: { _id: '$assignmentId', submissions: { $sum: 1 } } },
+    { $sort: { submissions: -1 } },
+    { $limit: 10 },
+  ]);
+  const titles = new Map(assignments.map(a => [a._id.toString(), a.title]));
+
+  const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+  return {
+    plan: { id: plan.id, name: plan.name },
+    enforced: isEnforced(),
+    period: { start: since, end: nextMonthStart() },
+    ai: {
+      used: aiUsed,
+      limit: plan.aiAnalysesPerMonth,
+      remaining: remaining(plan.aiAnalysesPerMonth, aiUsed),
+      requestsPerMinute: plan.aiRequestsPerMinute,
+      tokens: byTask.reduce((sum, row) => sum + row.tokens, 0),
+      calls: byTask.reduce((sum, row) => sum + row.calls, 0),
+      byTask: byTask.map(row => ({ task: row._id, analyses: row.analyses, calls: row.calls, tokens: row.tokens })),
+    },
+    storage: {
+      usedBytes: storageUsed,
+      limitBytes: plan.storageBytes,
+      remainingBytes: remaining(plan.storageBytes, storageUsed),
+    },
+    submissions: {
+      limitPerAssignment: plan.submissionsPerAssignment,
+      busiestAssignments: counts.map(row => ({ assignmentId: row._id, title: titles.get(row._id.toString()) || null, submissions: row.submissions })),
+    },
+  };
+}
+
+module.exports = {
+  QuotaError,
+  meteredAnalysis,
+  meteredComplete,
+  assertAiAllowed,
+  assertUploadAllowed,
+  sendQuotaError,
+  getUsageSummary,
+};
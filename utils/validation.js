@@ -0,0 +1,36 @@
+// backend/utils/validation.js
+// Input checks shared by the auth routes. Each returns a list of problems (empty when valid).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores everything past 72 bytes
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+const isValidEmail = (email) => typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email.trim());
+
+function passwordProblems(password, { email, name } = {}) {
+  if (typeof password !== 'string' || !password) return ['Password is required.'];
+  const problems = [];
+  if (password.length < PASSWORD_MIN_LENGTH) problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) problems.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes.`);
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) problems.push('Password must contain both letters and numbers.');
+  if (/^(.)\1*$/.test(password)) problems.push('Password cannot be a single repeated character.');
+
+  const lowered = password.toLowerCase();
+  const localPart = normalizeEmail(email).split('@')[0];
+  if ((localPart.length >= 4 && lowered.includes(localPart)) || (name && name.trim().length >= 4 && lowered.includes(name.trim().toLowerCase()))) {
+    problems.push('Password cannot contain your name or email address.');
+  }
+  return problems;
+}
+
+function registrationProblems({ name, email, password, studentId }) {
+  const problems = [];
+  if (typeof name !== 'string' || !name.trim()) problems.push('Name is required.');
+  else if (name.trim().length > 100) problems.push('Name must be at most 100 characters.');
+  if (!isValidEmail(email)) problems.push('A valid email address is required.');
+  if (studentId !== undefined && studentId !== null && (typeof studentId !== 'string' || studentId.length > 64)) problems.push('Student ID must be text of at most 64 characters.');
+  return [...problems, ...passwordProblems(password, { email, name })];
+}
+
+module.exports = { normalizeEmail, isValidEmail, passwordProblems, registrationProblems };